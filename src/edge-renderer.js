@@ -0,0 +1,516 @@
+import * as THREE from 'three';
+import { Line2 } from 'three/examples/jsm/lines/Line2.js';
+import { LineGeometry } from 'three/examples/jsm/lines/LineGeometry.js';
+import { LineMaterial } from 'three/examples/jsm/lines/LineMaterial.js';
+import InstancePool from './instance-pool.js';
+
+/**
+ * Number of edges the merged line buffer has room for before it first grows
+ */
+const INITIAL_CAPACITY = 256;
+
+/**
+ * Direction the arrowhead geometry points in before it is rotated
+ */
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * EdgeRenderer
+ *
+ * Draws edge arcs and arrowheads. Plain edges are written into one merged
+ * LineSegments buffer and all arrowheads share one InstancedMesh, so large
+ * graphs take a few draw calls instead of one per edge. Edges with a custom
+ * width or dashes are drawn as separate Line2 ribbons, because WebGL draws
+ * plain lines one pixel wide and can't dash some segments of a buffer but
+ * not others. Each edge keeps a reference to the object it is drawn in as
+ * link.line.
+ *
+ * @class EdgeRenderer
+ */
+export default class EdgeRenderer {
+  /**
+   * Creates a new EdgeRenderer instance
+   *
+   * @param {THREE.Object3D} parent - The object edge lines are added to
+   * @param {number} segments - Number of straight segments in every arc
+   */
+  constructor(parent, segments) {
+    this.parent = parent;
+    this.segments = segments;
+    this.resolution = new THREE.Vector2(1, 1);
+    this.links = [];
+    this.indices = new Map();
+    this.ribbons = new Set();
+
+    this.lines = new MergedLines(
+      new MergedGeometry(),
+      new THREE.LineBasicMaterial({ vertexColors: true, transparent: true }),
+      this.resolution
+    );
+    // Edges move while layouts run, so bounds are only computed when asked for
+    this.lines.frustumCulled = false;
+    this.allocate(INITIAL_CAPACITY);
+    this.parent.add(this.lines);
+
+    const arrowGeometry = new THREE.ConeGeometry(1, 1, 12);
+    // Move the tip to the origin so the arrow can be placed at the target's surface
+    arrowGeometry.translate(0, -0.5, 0);
+    this.arrows = new InstancePool(this.parent, arrowGeometry, new THREE.MeshBasicMaterial());
+    this.matrix = new THREE.Matrix4();
+  }
+
+  /**
+   * Number of vertices each edge takes up in the merged buffer
+   *
+   * @returns {number} Two vertices per segment
+   */
+  get verticesPerLink() {
+    return this.segments * 2;
+  }
+
+  /**
+   * Replaces the merged buffer with one that has room for more edges,
+   * keeping the current edges
+   *
+   * @param {number} capacity - Number of edges the new buffer can hold
+   * @returns {void}
+   */
+  allocate(capacity) {
+    const previous = this.lines.geometry;
+    const vertices = capacity * this.verticesPerLink;
+
+    const geometry = new MergedGeometry();
+    const position = new THREE.BufferAttribute(new Float32Array(vertices * 3), 3);
+    const color = new THREE.BufferAttribute(new Float32Array(vertices * 4), 4);
+    position.setUsage(THREE.DynamicDrawUsage);
+    color.setUsage(THREE.DynamicDrawUsage);
+
+    if (previous.attributes.position) {
+      position.array.set(previous.attributes.position.array);
+      color.array.set(previous.attributes.color.array);
+    }
+
+    geometry.setAttribute('position', position);
+    geometry.setAttribute('color', color);
+    geometry.setDrawRange(0, this.links.length * this.verticesPerLink);
+
+    this.lines.geometry = geometry;
+    previous.dispose();
+  }
+
+  /**
+   * Checks whether an edge needs its own ribbon instead of a slot in the merged buffer
+   *
+   * @param {Object} link - The link object
+   * @returns {boolean} True for edges with a custom width or dashes
+   */
+  isRibbon(link) {
+    return link.width !== 1 || link.dashed;
+  }
+
+  /**
+   * Adds an edge along an arc
+   *
+   * @param {Object} link - The link object with color, opacity, width and dashed
+   * @param {Array<THREE.Vector3>} points - Points along the arc, one more than the number of segments
+   * @returns {void}
+   */
+  add(link, points) {
+    if (this.isRibbon(link)) {
+      this.addRibbon(link, points);
+    } else {
+      if (this.links.length * this.verticesPerLink === this.lines.geometry.attributes.position.count) {
+        this.allocate(this.links.length * 2);
+      }
+
+      this.indices.set(link, this.links.length);
+      this.links.push(link);
+      this.lines.geometry.setDrawRange(0, this.links.length * this.verticesPerLink);
+      link.line = this.lines;
+      this.setPoints(link, points);
+    }
+
+    this.setColor(link, link.color);
+    this.setOpacity(link, link.opacity);
+  }
+
+  /**
+   * Creates the Line2 ribbon of an edge with a custom width or dashes
+   *
+   * @param {Object} link - The link object
+   * @param {Array<THREE.Vector3>} points - Points along the arc
+   * @returns {void}
+   */
+  addRibbon(link, points) {
+    const geometry = new LineGeometry().setFromPoints(points);
+    const material = new LineMaterial({
+      linewidth: link.width,
+      dashed: link.dashed,
+      dashSize: 3 * link.width,
+      gapSize: 2 * link.width,
+      transparent: true
+    });
+    material.resolution.copy(this.resolution);
+
+    const line = new Line2(geometry, material);
+    if (link.dashed) line.computeLineDistances();
+    link.line = line;
+    this.ribbons.add(link);
+    this.parent.add(line);
+  }
+
+  /**
+   * Removes an edge and its arrowhead
+   *
+   * @param {Object} link - The link object
+   * @returns {void}
+   */
+  remove(link) {
+    this.removeArrow(link);
+
+    if (this.ribbons.has(link)) {
+      this.ribbons.delete(link);
+      this.parent.remove(link.line);
+      link.line.geometry.dispose();
+      link.line.material.dispose();
+    } else if (this.indices.has(link)) {
+      this.removeSlot(link);
+    }
+
+    link.line = null;
+  }
+
+  /**
+   * Frees an edge's slot in the merged buffer by moving the last edge into it
+   *
+   * @param {Object} link - The link object
+   * @returns {void}
+   */
+  removeSlot(link) {
+    const index = this.indices.get(link);
+    const last = this.links.pop();
+    this.indices.delete(link);
+
+    if (last !== link) {
+      const { position, color } = this.lines.geometry.attributes;
+      const size = this.verticesPerLink;
+      const lastIndex = this.links.length;
+
+      this.links[index] = last;
+      this.indices.set(last, index);
+      position.array.copyWithin(index * size * 3, lastIndex * size * 3, (lastIndex + 1) * size * 3);
+      color.array.copyWithin(index * size * 4, lastIndex * size * 4, (lastIndex + 1) * size * 4);
+      position.needsUpdate = true;
+      color.needsUpdate = true;
+    }
+
+    this.lines.geometry.setDrawRange(0, this.links.length * this.verticesPerLink);
+    this.invalidate();
+  }
+
+  /**
+   * Reshapes an edge along new arc points, reusing its GPU buffers
+   *
+   * @param {Object} link - The link object
+   * @param {Array<THREE.Vector3>} points - Points along the arc, as many as the edge was added with
+   * @returns {void}
+   */
+  setPoints(link, points) {
+    if (this.ribbons.has(link)) {
+      updateRibbonPoints(link.line, points);
+      return;
+    }
+
+    const index = this.indices.get(link);
+    if (index === undefined) return;
+
+    const position = this.lines.geometry.attributes.position;
+    const offset = index * this.verticesPerLink * 3;
+    for (let i = 0; i < this.segments; i++) {
+      points[i].toArray(position.array, offset + i * 6);
+      points[i + 1].toArray(position.array, offset + i * 6 + 3);
+    }
+    position.needsUpdate = true;
+    this.invalidate();
+  }
+
+  /**
+   * Places an edge's arrowhead, adding it if the edge has none yet
+   *
+   * @param {Object} link - The link object
+   * @param {THREE.Vector3} tip - Position of the arrow's tip
+   * @param {THREE.Vector3} direction - Unit vector the arrow points along
+   * @returns {void}
+   */
+  setArrow(link, tip, direction) {
+    if (!this.arrows.has(link)) {
+      const color = this.getColor(link);
+      const opacity = this.getOpacity(link);
+      this.arrows.add(link);
+      this.arrows.setColor(link, color);
+      this.arrows.setOpacity(link, opacity);
+    }
+
+    link.arrow = {
+      tip: tip.clone(),
+      direction: direction.clone(),
+      length: 6 + link.width * 2,
+      radius: 2 + link.width * 0.75
+    };
+
+    const quaternion = new THREE.Quaternion().setFromUnitVectors(UP, direction);
+    const scale = new THREE.Vector3(link.arrow.radius, link.arrow.length, link.arrow.radius);
+    this.arrows.setMatrix(link, this.matrix.compose(tip, quaternion, scale));
+  }
+
+  /**
+   * Removes an edge's arrowhead
+   *
+   * @param {Object} link - The link object
+   * @returns {void}
+   */
+  removeArrow(link) {
+    this.arrows.remove(link);
+    link.arrow = null;
+  }
+
+  /**
+   * Sets the color an edge and its arrowhead are drawn with, without
+   * changing the edge's color
+   *
+   * @param {Object} link - The link object
+   * @param {THREE.Color|string|number} color - The color
+   * @returns {void}
+   */
+  setColor(link, color) {
+    const value = new THREE.Color(color);
+
+    if (this.ribbons.has(link)) {
+      link.line.material.color.copy(value);
+    } else if (this.indices.has(link)) {
+      const attribute = this.lines.geometry.attributes.color;
+      const start = this.indices.get(link) * this.verticesPerLink;
+      for (let i = start; i < start + this.verticesPerLink; i++) {
+        attribute.setXYZ(i, value.r, value.g, value.b);
+      }
+      attribute.needsUpdate = true;
+    }
+
+    if (this.arrows.has(link)) this.arrows.setColor(link, value);
+  }
+
+  /**
+   * Reads the color an edge is currently drawn with
+   *
+   * @param {Object} link - The link object
+   * @returns {THREE.Color} The color
+   */
+  getColor(link) {
+    if (this.ribbons.has(link)) return link.line.material.color.clone();
+    if (!this.indices.has(link)) return new THREE.Color(link.color);
+
+    const attribute = this.lines.geometry.attributes.color;
+    const start = this.indices.get(link) * this.verticesPerLink;
+    return new THREE.Color(attribute.getX(start), attribute.getY(start), attribute.getZ(start));
+  }
+
+  /**
+   * Sets the opacity of an edge and its arrowhead
+   *
+   * @param {Object} link - The link object
+   * @param {number} opacity - Opacity from 0 to 1
+   * @returns {void}
+   */
+  setOpacity(link, opacity) {
+    if (this.ribbons.has(link)) {
+      link.line.material.opacity = opacity;
+    } else if (this.indices.has(link)) {
+      const attribute = this.lines.geometry.attributes.color;
+      const start = this.indices.get(link) * this.verticesPerLink;
+      for (let i = start; i < start + this.verticesPerLink; i++) {
+        attribute.setW(i, opacity);
+      }
+      attribute.needsUpdate = true;
+    }
+
+    if (this.arrows.has(link)) this.arrows.setOpacity(link, opacity);
+  }
+
+  /**
+   * Reads the opacity an edge is currently drawn with
+   *
+   * @param {Object} link - The link object
+   * @returns {number} Opacity from 0 to 1
+   */
+  getOpacity(link) {
+    if (this.ribbons.has(link)) return link.line.material.opacity;
+    if (!this.indices.has(link)) return link.opacity;
+
+    return this.lines.geometry.attributes.color.getW(this.indices.get(link) * this.verticesPerLink);
+  }
+
+  /**
+   * Sets the viewport size that ribbon widths and click distances are measured against
+   *
+   * @param {number} width - Viewport width in pixels
+   * @param {number} height - Viewport height in pixels
+   * @returns {void}
+   */
+  setResolution(width, height) {
+    this.resolution.set(width, height);
+    this.ribbons.forEach(link => link.line.material.resolution.copy(this.resolution));
+  }
+
+  /**
+   * Finds the edge hit by a raycast, through its line or its arrowhead
+   *
+   * @param {Object} intersection - Raycaster intersection
+   * @returns {Object|null} The link, or null if the intersection isn't an edge
+   */
+  getLink(intersection) {
+    const object = intersection.object;
+
+    if (object === this.lines) {
+      return this.links[Math.floor(intersection.index / this.verticesPerLink)] ?? null;
+    }
+    if (object === this.arrows.mesh) {
+      return this.arrows.getItem(intersection.instanceId);
+    }
+    for (const link of this.ribbons) {
+      if (link.line === object) return link;
+    }
+    return null;
+  }
+
+  /**
+   * Drops the merged buffer's cached bounds, which are recomputed the next
+   * time a raycast or camera fit needs them
+   *
+   * @returns {void}
+   */
+  invalidate() {
+    this.lines.geometry.boundingBox = null;
+    this.lines.geometry.boundingSphere = null;
+  }
+}
+
+/**
+ * Merged edge geometry whose bounds only cover the edges in its draw range,
+ * not the spare room at the end of its buffers
+ */
+class MergedGeometry extends THREE.BufferGeometry {
+  /**
+   * Computes the bounding box of the vertices in the draw range
+   *
+   * @returns {void}
+   */
+  computeBoundingBox() {
+    if (!this.boundingBox) this.boundingBox = new THREE.Box3();
+    this.boundingBox.makeEmpty();
+
+    const position = this.attributes.position;
+    if (!position) return;
+
+    const point = new THREE.Vector3();
+    const end = Math.min(position.count, this.drawRange.start + this.drawRange.count);
+    for (let i = this.drawRange.start; i < end; i++) {
+      this.boundingBox.expandByPoint(point.fromBufferAttribute(position, i));
+    }
+  }
+
+  /**
+   * Computes a bounding sphere around the bounding box of the draw range
+   *
+   * @returns {void}
+   */
+  computeBoundingSphere() {
+    this.computeBoundingBox();
+    if (!this.boundingSphere) this.boundingSphere = new THREE.Sphere();
+    this.boundingBox.getBoundingSphere(this.boundingSphere);
+  }
+}
+
+/**
+ * Merged edge lines that are hit-tested within a distance in pixels, like
+ * Line2 ribbons, instead of a fixed distance in world units
+ */
+class MergedLines extends THREE.LineSegments {
+  /**
+   * Creates the merged lines
+   *
+   * @param {THREE.BufferGeometry} geometry - The merged geometry
+   * @param {THREE.Material} material - Line material using vertex colors
+   * @param {THREE.Vector2} resolution - Viewport size in pixels, shared with the renderer
+   */
+  constructor(geometry, material, resolution) {
+    super(geometry, material);
+    this.resolution = resolution;
+  }
+
+  /**
+   * Finds the segments within raycaster.params.Line2.threshold pixels of the ray
+   *
+   * @param {THREE.Raycaster} raycaster - The raycaster
+   * @param {Array} intersects - Array the hits are added to
+   * @returns {void}
+   */
+  raycast(raycaster, intersects) {
+    const camera = raycaster.camera;
+    if (!camera || !camera.isPerspectiveCamera) {
+      super.raycast(raycaster, intersects);
+      return;
+    }
+
+    if (!this.geometry.boundingSphere) this.geometry.computeBoundingSphere();
+    const sphere = this.geometry.boundingSphere.clone().applyMatrix4(this.matrixWorld);
+    const pixels = raycaster.params.Line2 ? raycaster.params.Line2.threshold : 1;
+    const unitsPerPixel = distance =>
+      2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / this.resolution.y;
+
+    // Collect candidates within the threshold at the far side of the graph,
+    // then keep those within the threshold at their own distance
+    const threshold = raycaster.params.Line.threshold;
+    const candidates = [];
+    raycaster.params.Line.threshold = pixels * unitsPerPixel(raycaster.ray.origin.distanceTo(sphere.center) + sphere.radius);
+    super.raycast(raycaster, candidates);
+    raycaster.params.Line.threshold = threshold;
+
+    candidates.forEach(hit => {
+      if (raycaster.ray.distanceToPoint(hit.point) <= pixels * unitsPerPixel(hit.distance)) {
+        intersects.push(hit);
+      }
+    });
+  }
+}
+
+/**
+ * Rewrites the segments of a Line2 ribbon in place, so the GPU buffers are
+ * reused while the layout animates
+ *
+ * @param {Line2} line - The line to update
+ * @param {Array<THREE.Vector3>} points - New points, as many as the line was created with
+ * @returns {void}
+ */
+function updateRibbonPoints(line, points) {
+  const segments = line.geometry.attributes.instanceStart.data;
+
+  for (let i = 0; i < points.length - 1; i++) {
+    points[i].toArray(segments.array, i * 6);
+    points[i + 1].toArray(segments.array, i * 6 + 3);
+  }
+  segments.needsUpdate = true;
+
+  const distances = line.geometry.attributes.instanceDistanceStart;
+  if (distances) {
+    let total = 0;
+    for (let i = 0; i < points.length - 1; i++) {
+      distances.data.array[i * 2] = total;
+      total += points[i].distanceTo(points[i + 1]);
+      distances.data.array[i * 2 + 1] = total;
+    }
+    distances.data.needsUpdate = true;
+  }
+
+  line.geometry.computeBoundingBox();
+  line.geometry.computeBoundingSphere();
+}
@@ -0,0 +1,279 @@
+/**
+ * Pattern for one token: a quoted string, a comparison operator (longest
+ * first), a parenthesis, and, or, a negation or a bare word
+ */
+const TOKEN_PATTERN = /\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(==|!=|<=|>=|=|<|>|~)|(\(|\)|&&|\|\||!)|([^\s()=!<>~"'&|]+))/y;
+
+/**
+ * FilterExpression
+ *
+ * Parses the small expression language of the filter attribute and tests
+ * nodes against it. An expression compares node attributes, degree or groups
+ * with values, and combines comparisons with and, or, not and parentheses:
+ *
+ *   shape != sphere and degree >= 2
+ *   groups = "Backend Team" or priority > 5
+ *   not (name ~ test)
+ *
+ * = and != compare case insensitively, ~ checks whether the attribute contains
+ * the value, and <, <=, > and >= compare numbers. groups holds the ids and
+ * names of the node's groups (also written group), and = matches when any of
+ * them does. A bare attribute name is true when the attribute is set and not
+ * empty, false or 0, written either as a value or as text.
+ *
+ * @class FilterExpression
+ */
+export default class FilterExpression {
+  /**
+   * Parses a filter expression
+   *
+   * @param {string} source - The expression
+   * @throws {Error} If the expression can't be parsed
+   */
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.position = 0;
+    this.tree = this.parseOr();
+
+    if (this.position < this.tokens.length) {
+      this.fail(`unexpected "${this.tokens[this.position].text}"`);
+    }
+  }
+
+  /**
+   * Tests a node against the expression
+   *
+   * @param {Object} node - The node object
+   * @param {GraphModel} graph - The graph, for the node's degree and groups
+   * @returns {boolean} True if the node passes the filter
+   */
+  test(node, graph) {
+    return evaluate(this.tree, node, graph);
+  }
+
+  /**
+   * Parses comparisons joined by or
+   *
+   * @returns {Object} Expression tree
+   */
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.accept('or', '||')) {
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  /**
+   * Parses comparisons joined by and
+   *
+   * @returns {Object} Expression tree
+   */
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.accept('and', '&&')) {
+      left = { type: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  /**
+   * Parses a comparison, a parenthesized expression or a negation of either
+   *
+   * @returns {Object} Expression tree
+   */
+  parseNot() {
+    if (this.accept('not', '!')) {
+      return { type: 'not', operand: this.parseNot() };
+    }
+
+    if (this.accept('(')) {
+      const inner = this.parseOr();
+      if (!this.accept(')')) this.fail('missing ")"');
+      return inner;
+    }
+
+    const field = this.next();
+    if (!field || field.quoted || field.operator || ['(', ')', 'and', 'or', 'not'].includes(field.text.toLowerCase())) {
+      this.fail(field ? `expected an attribute name, found "${field.text}"` : 'expected an attribute name');
+    }
+
+    const operator = this.tokens[this.position];
+    if (!operator || !operator.operator) {
+      return { type: 'truthy', field: field.text };
+    }
+    this.position++;
+
+    const value = this.next();
+    if (!value || value.operator || (!value.quoted && ['(', ')', '!', '&&', '||'].includes(value.text))) {
+      this.fail(`expected a value after "${operator.text}"`);
+    }
+
+    return { type: 'compare', field: field.text, operator: operator.text, value: value.text };
+  }
+
+  /**
+   * Moves past the next token if it is one of the given words or symbols
+   *
+   * @param {...string} texts - Words (matched case insensitively) or symbols
+   * @returns {boolean} True if the token was accepted
+   */
+  accept(...texts) {
+    const token = this.tokens[this.position];
+    if (!token || token.quoted || !texts.includes(token.text.toLowerCase())) return false;
+    this.position++;
+    return true;
+  }
+
+  /**
+   * Returns the next token and moves past it
+   *
+   * @returns {Object|undefined} The token, or undefined at the end
+   */
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  /**
+   * Throws a parse error that names the expression
+   *
+   * @param {string} message - What went wrong
+   * @returns {never}
+   */
+  fail(message) {
+    throw new Error(`Invalid filter "${this.source}": ${message}`);
+  }
+}
+
+/**
+ * Splits an expression into tokens
+ *
+ * @param {string} source - The expression
+ * @returns {Array<Object>} Tokens with their text and whether they are quoted or an operator
+ */
+function tokenize(source) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+
+    if (!match) {
+      const rest = source.slice(start).trim();
+      if (rest === '') break;
+      const problem = rest[0] === '"' || rest[0] === "'" ? 'missing closing quote' : `unexpected "${rest[0]}"`;
+      throw new Error(`Invalid filter "${source}": ${problem}`);
+    }
+
+    const [, double, single, operator, symbol, word] = match;
+    if (double !== undefined || single !== undefined) {
+      tokens.push({ text: (double ?? single).replace(/\\(.)/g, '$1'), quoted: true });
+    } else if (operator) {
+      tokens.push({ text: operator, operator: true });
+    } else {
+      tokens.push({ text: symbol ?? word });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Evaluates an expression tree for a node
+ *
+ * @param {Object} tree - Expression tree
+ * @param {Object} node - The node object
+ * @param {GraphModel} graph - The graph, for the node's degree and groups
+ * @returns {boolean} Result of the expression
+ */
+function evaluate(tree, node, graph) {
+  switch (tree.type) {
+    case 'or':
+      return evaluate(tree.left, node, graph) || evaluate(tree.right, node, graph);
+    case 'and':
+      return evaluate(tree.left, node, graph) && evaluate(tree.right, node, graph);
+    case 'not':
+      return !evaluate(tree.operand, node, graph);
+    case 'truthy': {
+      const value = readField(node, tree.field, graph);
+      return Array.isArray(value) ? value.length > 0 : isSet(value);
+    }
+    default: {
+      const value = readField(node, tree.field, graph);
+      if (Array.isArray(value)) {
+        const matches = value.some(item => compare(item, tree.operator === '!=' ? '=' : tree.operator, tree.value));
+        return tree.operator === '!=' ? !matches : matches;
+      }
+      return compare(value, tree.operator, tree.value);
+    }
+  }
+}
+
+/**
+ * Reads an attribute of a node, including attributes kept in node.data, or
+ * its degree or groups
+ *
+ * @param {Object} node - The node object
+ * @param {string} field - Attribute name, degree or groups
+ * @param {GraphModel} graph - The graph the node belongs to
+ * @returns {*} The value, an array of group ids and names for groups
+ */
+function readField(node, field, graph) {
+  if (field === 'degree') return graph.degree(node.id);
+  if (field === 'groups' || field === 'group') {
+    return graph.groupsOf(node.id)
+      .flatMap(group => [group.id, group.name])
+      .filter(value => value !== null && value !== undefined);
+  }
+  return node[field] ?? node.data?.[field];
+}
+
+/**
+ * Checks whether an attribute on its own counts as true. Attribute values
+ * are strings, so "false", "0" and "" count as unset like false and 0
+ *
+ * @param {*} value - The node's value
+ * @returns {boolean} True if the value is set and not false, 0 or empty
+ */
+function isSet(value) {
+  if (typeof value !== 'string') return Boolean(value);
+
+  const text = value.trim().toLowerCase();
+  return text !== '' && text !== 'false' && Number(text) !== 0;
+}
+
+/**
+ * Compares an attribute value with a value from the expression
+ *
+ * @param {*} actual - The node's value
+ * @param {string} operator - Comparison operator
+ * @param {string} expected - Value written in the expression
+ * @returns {boolean} Result of the comparison
+ */
+function compare(actual, operator, expected) {
+  if (actual === null || actual === undefined) return operator === '!=';
+
+  const actualNumber = Number(actual);
+  const expectedNumber = Number(expected);
+  const numeric = typeof actual !== 'boolean' && actual !== '' && Number.isFinite(actualNumber) && expected !== '' && Number.isFinite(expectedNumber);
+
+  switch (operator) {
+    case '=':
+    case '==':
+      return numeric ? actualNumber === expectedNumber : String(actual).toLowerCase() === expected.toLowerCase();
+    case '!=':
+      return numeric ? actualNumber !== expectedNumber : String(actual).toLowerCase() !== expected.toLowerCase();
+    case '~':
+      return String(actual).toLowerCase().includes(expected.toLowerCase());
+    case '<':
+      return numeric && actualNumber < expectedNumber;
+    case '<=':
+      return numeric && actualNumber <= expectedNumber;
+    case '>':
+      return numeric && actualNumber > expectedNumber;
+    default:
+      return numeric && actualNumber >= expectedNumber;
+  }
+}
@@ -0,0 +1,272 @@
+/**
+ * ForceLayout
+ *
+ * Iterative spring/charge simulation that positions nodes in three dimensions.
+ * Edges act as springs, every pair of nodes repels, and group members are
+ * pulled towards their group's centroid. Nodes with explicit coordinates,
+ * such as pinned nodes, hold still and the others settle around them. Each
+ * call to step() advances the simulation by one tick and cools it until it
+ * comes to rest.
+ *
+ * @class ForceLayout
+ */
+export default class ForceLayout {
+  /**
+   * Creates a new ForceLayout instance
+   *
+   * @param {GraphModel} graph - Graph whose nodes have x, y, z coordinates
+   * @param {Array} groups - Array of group objects with nodeIds
+   * @param {Object} options - Optional simulation parameters
+   * @param {number} options.linkDistance - Resting length of edge springs (default 80)
+   * @param {number} options.chargeStrength - Repulsion between nodes, negative repels (default -250)
+   * @param {number} options.groupStrength - Pull towards the group centroid (default 0.05)
+   */
+  constructor(graph, groups = [], options = {}) {
+    this.graph = graph;
+    this.groups = groups;
+    this.linkDistance = options.linkDistance ?? 80;
+    this.chargeStrength = options.chargeStrength ?? -250;
+    this.groupStrength = options.groupStrength ?? 0.05;
+    this.velocityDecay = 0.4;
+    this.alpha = 1;
+    this.alphaMin = 0.001;
+    this.alphaDecay = 1 - Math.pow(this.alphaMin, 1 / 300);
+
+    this.initializeNodes(this.nodes);
+  }
+
+  /**
+   * The nodes being positioned, including any added since the simulation started
+   *
+   * @returns {Array} Array of node objects
+   */
+  get nodes() {
+    return this.graph.nodes;
+  }
+
+  /**
+   * The edges pulling nodes together
+   *
+   * @returns {Array} Array of link objects with source and target IDs
+   */
+  get links() {
+    return this.graph.links;
+  }
+
+  /**
+   * Seeds velocities and lifts nodes off the grid plane so the
+   * simulation can spread them along the Y axis as well
+   *
+   * @param {Array} nodes - Nodes to prepare for the simulation
+   * @returns {void}
+   */
+  initializeNodes(nodes) {
+    nodes.forEach((node, index) => {
+      node.vx = 0;
+      node.vy = 0;
+      node.vz = 0;
+      if (node.fixed) return;
+      
+      node.x = node.x || 0;
+      node.z = node.z || 0;
+      // Deterministic jitter based on the golden ratio keeps layouts reproducible
+      node.y = node.y || ((index * 0.618033988749895) % 1 - 0.5) * this.linkDistance;
+    });
+  }
+
+  /**
+   * Checks whether the simulation is still moving
+   *
+   * @returns {boolean} True until the simulation has cooled
+   */
+  isRunning() {
+    return this.alpha >= this.alphaMin;
+  }
+
+  /**
+   * Reheats the simulation so it starts moving again, preparing any
+   * nodes that were added since it was created
+   *
+   * @param {number} alpha - New simulation temperature (default 1)
+   * @returns {void}
+   */
+  restart(alpha = 1) {
+    this.initializeNodes(this.nodes.filter(node => node.vx === undefined));
+    this.alpha = alpha;
+  }
+
+  /**
+   * Cools the simulation immediately so step() becomes a no-op
+   *
+   * @returns {void}
+   */
+  stop() {
+    this.alpha = 0;
+  }
+
+  /**
+   * Advances the simulation by one tick
+   *
+   * @returns {boolean} True if the simulation is still running after this tick
+   */
+  step() {
+    if (!this.isRunning()) return false;
+
+    this.applyLinkForce();
+    this.applyChargeForce();
+    this.applyGroupForce();
+
+    this.nodes.forEach(node => {
+      if (node.fixed) {
+        node.vx = 0;
+        node.vy = 0;
+        node.vz = 0;
+        return;
+      }
+      node.vx *= 1 - this.velocityDecay;
+      node.vy *= 1 - this.velocityDecay;
+      node.vz *= 1 - this.velocityDecay;
+      node.x += node.vx;
+      node.y += node.vy;
+      node.z += node.vz;
+    });
+
+    this.applyCentering();
+
+    this.alpha += (0 - this.alpha) * this.alphaDecay;
+    return this.isRunning();
+  }
+
+  /**
+   * Pulls connected nodes towards the resting link distance
+   *
+   * @returns {void}
+   */
+  applyLinkForce() {
+    this.links.forEach(link => {
+      const source = this.graph.getNode(link.source);
+      const target = this.graph.getNode(link.target);
+      if (!source || !target || source === target) return;
+
+      const sourceCount = this.graph.degree(link.source);
+      const targetCount = this.graph.degree(link.target);
+      // Weaken springs on highly connected nodes so hubs don't collapse
+      const strength = 1 / Math.min(sourceCount, targetCount);
+      const bias = sourceCount / (sourceCount + targetCount);
+
+      let dx = target.x + target.vx - source.x - source.vx;
+      let dy = target.y + target.vy - source.y - source.vy;
+      let dz = target.z + target.vz - source.z - source.vz;
+      const distance = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1e-6;
+      const factor = (distance - this.linkDistance) / distance * this.alpha * strength;
+
+      dx *= factor;
+      dy *= factor;
+      dz *= factor;
+
+      target.vx -= dx * bias;
+      target.vy -= dy * bias;
+      target.vz -= dz * bias;
+      source.vx += dx * (1 - bias);
+      source.vy += dy * (1 - bias);
+      source.vz += dz * (1 - bias);
+    });
+  }
+
+  /**
+   * Pushes every pair of nodes apart
+   *
+   * @returns {void}
+   */
+  applyChargeForce() {
+    const count = this.nodes.length;
+
+    for (let i = 0; i < count; i++) {
+      const a = this.nodes[i];
+
+      for (let j = i + 1; j < count; j++) {
+        const b = this.nodes[j];
+        let dx = b.x - a.x;
+        let dy = b.y - a.y;
+        let dz = b.z - a.z;
+        let distanceSq = dx * dx + dy * dy + dz * dz;
+
+        // Nudge coincident nodes apart deterministically
+        if (distanceSq === 0) {
+          dx = (j - i) * 1e-3;
+          distanceSq = dx * dx;
+        }
+
+        const weight = this.chargeStrength * this.alpha / Math.max(distanceSq, 1);
+
+        a.vx += dx * weight;
+        a.vy += dy * weight;
+        a.vz += dz * weight;
+        b.vx -= dx * weight;
+        b.vy -= dy * weight;
+        b.vz -= dz * weight;
+      }
+    }
+  }
+
+  /**
+   * Pulls group members towards the centroid of their groups
+   *
+   * @returns {void}
+   */
+  applyGroupForce() {
+    if (this.groups.length === 0 || this.groupStrength === 0) return;
+
+    this.groups.forEach(group => {
+      // Members of nested groups are pulled towards the outer groups' centroids too
+      const members = this.graph.membersOf(group)
+        .map(id => this.graph.getNode(id))
+        .filter(node => node !== null);
+
+      if (members.length < 2) return;
+
+      let centerX = 0, centerY = 0, centerZ = 0;
+      members.forEach(node => {
+        centerX += node.x;
+        centerY += node.y;
+        centerZ += node.z;
+      });
+      centerX /= members.length;
+      centerY /= members.length;
+      centerZ /= members.length;
+
+      const strength = this.groupStrength * this.alpha;
+      members.forEach(node => {
+        node.vx += (centerX - node.x) * strength;
+        node.vy += (centerY - node.y) * strength;
+        node.vz += (centerZ - node.z) * strength;
+      });
+    });
+  }
+
+  /**
+   * Translates all nodes so their centroid stays at the origin, unless some
+   * of them hold still
+   *
+   * @returns {void}
+   */
+  applyCentering() {
+    if (this.nodes.length === 0 || this.nodes.some(node => node.fixed)) return;
+
+    let centerX = 0, centerY = 0, centerZ = 0;
+    this.nodes.forEach(node => {
+      centerX += node.x;
+      centerY += node.y;
+      centerZ += node.z;
+    });
+    centerX /= this.nodes.length;
+    centerY /= this.nodes.length;
+    centerZ /= this.nodes.length;
+
+    this.nodes.forEach(node => {
+      node.x -= centerX;
+      node.y -= centerY;
+      node.z -= centerZ;
+    });
+  }
+}
@@ -0,0 +1,511 @@
+import * as THREE from 'three';
+
+/**
+ * Metrics that can be computed, and the methods that compute them
+ */
+const METRICS = {
+  degree: 'degree',
+  betweenness: 'betweenness',
+  closeness: 'closeness',
+  pagerank: 'pagerank',
+  component: 'components',
+  community: 'communities',
+};
+
+/**
+ * Metrics whose values number groups of nodes rather than measure them
+ */
+const CATEGORICAL_METRICS = ['component', 'community'];
+
+/**
+ * Edges visited by the breadth-first searches for betweenness and closeness.
+ * Graphs too large to search from every node are estimated from as many evenly
+ * spaced source nodes as fit
+ */
+const SEARCH_BUDGET = 2e7;
+
+/**
+ * Fewest source nodes an estimate is made from
+ */
+const MIN_SOURCES = 50;
+
+/**
+ * Colors from the lowest to the highest value of a numeric metric
+ */
+const GRADIENT = ['#440154', '#21918c', '#fde725'];
+
+/**
+ * Community detection stops passing over the nodes once a pass raises
+ * modularity by less than this
+ */
+const MIN_GAIN = 1e-6;
+
+/**
+ * GraphAnalytics
+ *
+ * Computes centralities, connected components and communities of the graph,
+ * treating edges as undirected and unweighted. Results are cached until the
+ * nodes or links change. Exposed on the component as viz.analytics, and used
+ * by the size-by and color-by attributes.
+ *
+ * @class GraphAnalytics
+ */
+export default class GraphAnalytics {
+  /**
+   * Creates a new GraphAnalytics instance
+   *
+   * @param {GraphModel} graph - The graph to analyze
+   */
+  constructor(graph) {
+    this.graph = graph;
+    this.cache = new Map();
+    this.version = graph.version;
+  }
+
+  /**
+   * Computes a metric for every node
+   *
+   * @param {string} metric - degree, betweenness, closeness, pagerank, component or community
+   * @returns {Map<string, number>} Values by node id
+   * @throws {Error} If the metric is unknown
+   */
+  getValues(metric) {
+    if (!this.hasMetric(metric)) {
+      throw new Error(`Unknown metric "${metric}", expected one of ${Object.keys(METRICS).join(', ')}`);
+    }
+
+    if (this.version !== this.graph.version) {
+      this.cache.clear();
+      this.version = this.graph.version;
+    }
+    if (!this.cache.has(metric)) {
+      this.cache.set(metric, this[METRICS[metric]]());
+    }
+    return new Map(this.cache.get(metric));
+  }
+
+  /**
+   * Computes a metric for one node
+   *
+   * @param {string} metric - degree, betweenness, closeness, pagerank, component or community
+   * @param {string} id - The node ID
+   * @returns {number|null} The value, or null if there is no such node
+   * @throws {Error} If the metric is unknown
+   */
+  getValue(metric, id) {
+    return this.getValues(metric).get(String(id)) ?? null;
+  }
+
+  /**
+   * Checks whether a name is one of the metrics
+   *
+   * @param {string} name - Metric or attribute name
+   * @returns {boolean} True if getValues() computes it
+   */
+  hasMetric(name) {
+    return Object.hasOwn(METRICS, name);
+  }
+
+  /**
+   * Checks whether a metric numbers groups of nodes rather than measures them
+   *
+   * @param {string} metric - The metric name
+   * @returns {boolean} True for component and community
+   */
+  isCategorical(metric) {
+    return CATEGORICAL_METRICS.includes(metric);
+  }
+
+  /**
+   * Maps a metric onto node colors: a gradient for numeric metrics, and a
+   * distinct color for every component or community
+   *
+   * @param {string} metric - degree, betweenness, closeness, pagerank, component or community
+   * @returns {Map<string, string>} Hex colors by node id
+   * @throws {Error} If the metric is unknown
+   */
+  getColors(metric) {
+    const values = this.getValues(metric);
+    const colors = new Map();
+    const color = new THREE.Color();
+
+    if (this.isCategorical(metric)) {
+      // Golden angle steps keep neighboring group numbers far apart in hue
+      values.forEach((value, id) => {
+        colors.set(id, `#${color.setHSL((value * 0.618034) % 1, 0.65, 0.55).getHexString()}`);
+      });
+      return colors;
+    }
+
+    const stops = GRADIENT.map(hex => new THREE.Color(hex));
+    const [min, max] = range(values);
+    values.forEach((value, id) => {
+      const position = (max > min ? (value - min) / (max - min) : 0) * (stops.length - 1);
+      const index = Math.min(Math.floor(position), stops.length - 2);
+      color.lerpColors(stops[index], stops[index + 1], position - index);
+      colors.set(id, `#${color.getHexString()}`);
+    });
+    return colors;
+  }
+
+  /**
+   * Counts the edges at every node
+   *
+   * @returns {Map<string, number>} Degrees by node id
+   */
+  degree() {
+    const values = new Map();
+    this.graph.nodesById.forEach((node, id) => values.set(id, this.graph.degree(id)));
+    return values;
+  }
+
+  /**
+   * Computes how often each node lies on the shortest paths between other
+   * nodes, with Brandes' algorithm
+   *
+   * @returns {Map<string, number>} Betweenness from 0 to 1 by node id
+   */
+  betweenness() {
+    const { ids, neighbors } = this.buildIndex();
+    const count = ids.length;
+    const scores = new Float64Array(count);
+    const distance = new Int32Array(count);
+    const paths = new Float64Array(count);
+    const dependency = new Float64Array(count);
+    const order = new Int32Array(count);
+    const sources = sampleSources(count, neighbors);
+
+    sources.forEach(source => {
+      distance.fill(-1);
+      paths.fill(0);
+      dependency.fill(0);
+      distance[source] = 0;
+      paths[source] = 1;
+
+      // Breadth-first search, counting the shortest paths to every node
+      let head = 0;
+      let tail = 0;
+      order[tail++] = source;
+      while (head < tail) {
+        const node = order[head++];
+        neighbors[node].forEach(next => {
+          if (distance[next] < 0) {
+            distance[next] = distance[node] + 1;
+            order[tail++] = next;
+          }
+          if (distance[next] === distance[node] + 1) paths[next] += paths[node];
+        });
+      }
+
+      // Walk back from the farthest nodes, passing dependencies to the nodes before them
+      for (let i = tail - 1; i > 0; i--) {
+        const node = order[i];
+        neighbors[node].forEach(previous => {
+          if (distance[previous] === distance[node] - 1) {
+            dependency[previous] += paths[previous] / paths[node] * (1 + dependency[node]);
+          }
+        });
+        scores[node] += dependency[node];
+      }
+    });
+
+    // Every pair is counted from both ends, and sampled sources stand in for the rest
+    const scale = count > 2 ? count / sources.length / ((count - 1) * (count - 2)) : 0;
+    return new Map(ids.map((id, i) => [id, scores[i] * scale]));
+  }
+
+  /**
+   * Computes how close each node is to the nodes it can reach, scaled by
+   * how many it can reach so that small components don't score highest
+   *
+   * @returns {Map<string, number>} Closeness from 0 to 1 by node id
+   */
+  closeness() {
+    const { ids, neighbors } = this.buildIndex();
+    const count = ids.length;
+    const totals = new Float64Array(count);
+    const reached = new Int32Array(count);
+    const isSource = new Uint8Array(count);
+    const distance = new Int32Array(count);
+    const queue = new Int32Array(count);
+    const sources = sampleSources(count, neighbors);
+
+    // Distances are symmetric, so the searches from the sources measure every node
+    sources.forEach(source => {
+      isSource[source] = 1;
+      distance.fill(-1);
+      distance[source] = 0;
+
+      let head = 0;
+      let tail = 0;
+      queue[tail++] = source;
+      while (head < tail) {
+        const node = queue[head++];
+        neighbors[node].forEach(next => {
+          if (distance[next] >= 0) return;
+          distance[next] = distance[node] + 1;
+          totals[next] += distance[next];
+          reached[next]++;
+          queue[tail++] = next;
+        });
+      }
+    });
+
+    return new Map(ids.map((id, i) => {
+      const others = sources.length - isSource[i];
+      return [id, reached[i] > 0 ? (reached[i] / others) * (reached[i] / totals[i]) : 0];
+    }));
+  }
+
+  /**
+   * Computes PageRank by power iteration
+   *
+   * @param {Object} options - PageRank options
+   * @param {number} options.damping - Probability of following an edge rather than jumping to any node (default 0.85)
+   * @param {boolean} options.directed - Only follow edges from their source to their target (default false)
+   * @param {number} options.iterations - Most iterations to run (default 100)
+   * @param {number} options.tolerance - Stop once the ranks change by less than this in total (default 1e-6)
+   * @returns {Map<string, number>} Ranks by node id, adding up to 1
+   */
+  pagerank({ damping = 0.85, directed = false, iterations = 100, tolerance = 1e-6 } = {}) {
+    const { ids, indices } = this.buildIndex();
+    const count = ids.length;
+    if (count === 0) return new Map();
+
+    const outgoing = ids.map(() => []);
+    this.graph.links.forEach(link => {
+      const source = indices.get(link.source);
+      const target = indices.get(link.target);
+      if (source === undefined || target === undefined || source === target) return;
+      outgoing[source].push(target);
+      if (!directed) outgoing[target].push(source);
+    });
+
+    let ranks = new Float64Array(count).fill(1 / count);
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      // Nodes without outgoing edges spread their rank over every node
+      let dangling = 0;
+      outgoing.forEach((targets, i) => {
+        if (targets.length === 0) dangling += ranks[i];
+      });
+
+      const next = new Float64Array(count).fill((1 - damping + damping * dangling) / count);
+      outgoing.forEach((targets, i) => {
+        const share = damping * ranks[i] / targets.length;
+        targets.forEach(target => { next[target] += share; });
+      });
+
+      let change = 0;
+      next.forEach((rank, i) => { change += Math.abs(rank - ranks[i]); });
+      ranks = next;
+      if (change < tolerance) break;
+    }
+
+    return new Map(ids.map((id, i) => [id, ranks[i]]));
+  }
+
+  /**
+   * Finds the connected components
+   *
+   * @returns {Map<string, number>} Component numbers by node id, 0 for the largest component
+   */
+  components() {
+    const { ids, neighbors } = this.buildIndex();
+    const labels = new Array(ids.length).fill(-1);
+    let component = 0;
+
+    labels.forEach((label, start) => {
+      if (labels[start] >= 0) return;
+
+      const stack = [start];
+      labels[start] = component;
+      while (stack.length > 0) {
+        neighbors[stack.pop()].forEach(next => {
+          if (labels[next] >= 0) return;
+          labels[next] = component;
+          stack.push(next);
+        });
+      }
+      component++;
+    });
+
+    const ranked = rankBySize(labels);
+    return new Map(ids.map((id, i) => [id, ranked[i]]));
+  }
+
+  /**
+   * Finds communities with the Louvain method, which groups nodes that have
+   * more edges among themselves than expected by chance
+   *
+   * @param {Object} options - Community options
+   * @param {number} options.resolution - Higher values find more, smaller communities (default 1)
+   * @returns {Map<string, number>} Community numbers by node id, 0 for the largest community
+   */
+  communities({ resolution = 1 } = {}) {
+    const { ids, neighbors } = this.buildIndex();
+    const ranked = rankBySize(louvain(neighbors, resolution));
+    return new Map(ids.map((id, i) => [id, ranked[i]]));
+  }
+
+  /**
+   * Numbers the nodes and lists the neighbors of each, for the graph algorithms
+   *
+   * @returns {Object} Node ids, their numbers by id, and the neighbor numbers of every node
+   */
+  buildIndex() {
+    const ids = [...this.graph.nodesById.keys()];
+    const indices = new Map(ids.map((id, i) => [id, i]));
+    const neighbors = ids.map(id => this.graph.neighbors(id)
+      .filter(other => other !== id && indices.has(other))
+      .map(other => indices.get(other)));
+    return { ids, indices, neighbors };
+  }
+}
+
+/**
+ * Picks the source nodes for betweenness and closeness
+ *
+ * @param {number} count - Number of nodes
+ * @param {Array<Array<number>>} neighbors - Neighbor numbers of every node
+ * @returns {Array<number>} Every node number, or evenly spaced ones for large graphs
+ */
+function sampleSources(count, neighbors) {
+  const edges = neighbors.reduce((sum, list) => sum + list.length, 0);
+  const sources = Math.min(count, Math.max(MIN_SOURCES, Math.floor(SEARCH_BUDGET / Math.max(edges, 1))));
+  return Array.from({ length: sources }, (_, i) => Math.floor(i * count / sources));
+}
+
+/**
+ * Finds the lowest and highest value
+ *
+ * @param {Map<string, number>} values - Values by node id
+ * @returns {Array<number>} The lowest and highest value, both 0 if there are none
+ */
+function range(values) {
+  if (values.size === 0) return [0, 0];
+
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach(value => {
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  });
+  return [min, max];
+}
+
+/**
+ * Renumbers groups so that the largest is 0, breaking ties by first appearance
+ *
+ * @param {Array<number>} labels - Group number of every node
+ * @returns {Array<number>} The new group number of every node
+ */
+function rankBySize(labels) {
+  const sizes = new Map();
+  labels.forEach(label => sizes.set(label, (sizes.get(label) || 0) + 1));
+
+  const ranks = new Map();
+  [...sizes.keys()]
+    .sort((a, b) => sizes.get(b) - sizes.get(a))
+    .forEach((label, rank) => ranks.set(label, rank));
+  return labels.map(label => ranks.get(label));
+}
+
+/**
+ * Finds communities with the Louvain method: nodes move to the neighboring
+ * community that raises modularity most, then each community is merged into
+ * a single node and the process repeats until nothing moves
+ *
+ * @param {Array<Array<number>>} neighbors - Neighbor numbers of every node
+ * @param {number} resolution - Higher values find more, smaller communities
+ * @returns {Array<number>} Community number of every node
+ */
+function louvain(neighbors, resolution) {
+  // Edge weights between nodes; a node's own entry holds its internal weight, counted twice
+  let weights = neighbors.map(list => new Map(list.map(other => [other, 1])));
+  let membership = neighbors.map((_, i) => i);
+
+  for (;;) {
+    const { communities, moved } = moveNodes(weights, resolution);
+    if (!moved) break;
+
+    // Number the communities 0, 1, 2, ... and merge each into one node
+    const numbers = new Map();
+    const labels = communities.map(community => {
+      if (!numbers.has(community)) numbers.set(community, numbers.size);
+      return numbers.get(community);
+    });
+    membership = membership.map(node => labels[node]);
+
+    const merged = Array.from({ length: numbers.size }, () => new Map());
+    weights.forEach((edges, node) => {
+      edges.forEach((weight, other) => {
+        const from = merged[labels[node]];
+        from.set(labels[other], (from.get(labels[other]) || 0) + weight);
+      });
+    });
+    weights = merged;
+  }
+
+  return membership;
+}
+
+/**
+ * Moves nodes between communities while that raises modularity
+ *
+ * @param {Array<Map<number, number>>} weights - Edge weights from every node
+ * @param {number} resolution - Higher values find more, smaller communities
+ * @returns {Object} The community of every node, and whether any node moved
+ */
+function moveNodes(weights, resolution) {
+  const strengths = weights.map(edges => [...edges.values()].reduce((sum, weight) => sum + weight, 0));
+  const total = strengths.reduce((sum, strength) => sum + strength, 0);
+  const communities = weights.map((_, i) => i);
+  const communityStrengths = [...strengths];
+  let moved = false;
+  if (total === 0) return { communities, moved };
+
+  // Weight from the current node to each community, reset after every node
+  const linked = new Float64Array(weights.length);
+  const touched = [];
+
+  let passGain = Infinity;
+  while (passGain >= MIN_GAIN) {
+    passGain = 0;
+
+    weights.forEach((edges, node) => {
+      const current = communities[node];
+      edges.forEach((weight, other) => {
+        if (other === node) return;
+        if (linked[communities[other]] === 0) touched.push(communities[other]);
+        linked[communities[other]] += weight;
+      });
+
+      // Take the node out, then put it where it adds most; staying wins ties
+      communityStrengths[current] -= strengths[node];
+      const gain = community => linked[community] - resolution * communityStrengths[community] * strengths[node] / total;
+      const currentGain = gain(current);
+      let best = current;
+      let bestGain = currentGain;
+      touched.forEach(community => {
+        const candidate = gain(community);
+        if (candidate > bestGain) {
+          best = community;
+          bestGain = candidate;
+        }
+      });
+      communityStrengths[best] += strengths[node];
+
+      touched.forEach(community => { linked[community] = 0; });
+      touched.length = 0;
+
+      if (best !== current) {
+        communities[node] = best;
+        // Gains are measured in edge weight; modularity divides them by half the total
+        passGain += (bestGain - currentGain) * 2 / total;
+        moved = true;
+      }
+    });
+  }
+
+  return { communities, moved };
+}
@@ -1,11 +1,42 @@
 import * as THREE from 'three';
 import { CSS2DObject } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
+import NodeRenderer from './node-renderer.js';
+import EdgeRenderer from './edge-renderer.js';
+import GraphModel from './graph-model.js';
+import GridLayout from './grid-layout.js';
+
+/**
+ * Angle between the arcs of edges that connect the same pair of nodes
+ */
+const FAN_ANGLE = Math.PI / 6;
+
+/**
+ * Number of straight segments each edge arc is drawn with
+ */
+const ARC_SEGMENTS = 24;
+
+/**
+ * Distance of a node's label below the node, before the node's size and scale are applied
+ */
+const LABEL_OFFSET = 5;
+
+/**
+ * Node fields read from elements and data objects, and element attributes
+ * that only style the element; other attributes are kept in node.data
+ */
+const NODE_FIELDS = ['id', 'name', 'color', 'wireframe', 'shape', 'priority', 'size', 'image', 'icon', 'model', 'content', 'x', 'y', 'z', 'fixed', 'pinned', 'gridX', 'gridY', 'grid-x', 'grid-y', 'groups', 'class', 'style'];
+
+/**
+ * Color of image nodes that don't set one; white draws the image in its own colors
+ */
+const IMAGE_COLOR = '#ffffff';
 
 /**
  * GraphBuilder
  * 
- * Builds the graph from network-node and network-edge elements
- * Creates 3D objects and positions them on a grid
+ * Builds the graph from network-node and network-edge elements or plain data
+ * Keeps the drawn nodes and edges in a GraphModel, available as graphBuilder.graph
+ * Positions nodes on a grid and draws them through a NodeRenderer and an EdgeRenderer
  * 
  * @class GraphBuilder
  */
@@ -16,17 +47,42 @@ export default class GraphBuilder {
    * @param {THREE.Group} graphGroup - The Three.js group to add objects to
    * @param {string} foregroundColor - Default color for nodes and edges
    * @param {THREE.Color} backgroundColor - Background color for labels
-   * @param {number} minimumNodeSize - Minimum size for node geometries
+   * @param {number} minimumNodeSize - Smallest size a node is drawn at, whatever its size attribute
    */
   constructor(graphGroup, foregroundColor, backgroundColor, minimumNodeSize = 1.0) {
     this.graphGroup = graphGroup;
     this.foregroundColor = foregroundColor;
     this.backgroundColor = backgroundColor;
     this.minimumNodeSize = minimumNodeSize;
-    this.nodes = [];
-    this.links = [];
+    this.graph = new GraphModel();
     this.groups = [];
+    this.pendingLinks = [];
+    // Graph objects by the element they were read from, so mutations don't search the graph
+    this.objectsByElement = new Map();
+    this.retainedNodes = new Set();
     this.nodeSpacing = 80;
+    this.directed = false;
+    this.filter = null;
+    this.nodeRenderer = new NodeRenderer(graphGroup, minimumNodeSize);
+    this.edgeRenderer = new EdgeRenderer(graphGroup, ARC_SEGMENTS);
+  }
+
+  /**
+   * The drawn nodes
+   * 
+   * @returns {Array} Array of node objects
+   */
+  get nodes() {
+    return this.graph.nodes;
+  }
+
+  /**
+   * The drawn links, whose nodes both exist
+   * 
+   * @returns {Array} Array of link objects
+   */
+  get links() {
+    return this.graph.links;
   }
 
   /**
@@ -40,67 +96,73 @@ export default class GraphBuilder {
     const edgeElements = Array.from(container.querySelectorAll('network-edge'));
     const groupElements = Array.from(container.querySelectorAll('network-group'));
 
-    this.nodes = nodeElements.map(el => {
-      return {
-        id: el.getAttribute('id'),
-        name: el.getAttribute('name'),
-        color: el.getAttribute('color') || this.foregroundColor,
-        wireframe: el.hasAttribute('wireframe'),
-        shape: el.getAttribute('shape') || 'pyramid',
-        content: el.innerHTML,
-        el: el,
-        groups: [],
-      };
+    return this.build(
+      nodeElements.map(el => this.parseNodeElement(el)),
+      edgeElements.map(el => this.parseEdgeElement(el)),
+      groupElements.map(el => this.parseGroupElement(el))
+    );
+  }
+
+  /**
+   * Builds the graph from a plain data object
+   * 
+   * @param {Object} data - Graph data
+   * @param {Array} data.nodes - Node descriptions with id, name, color, shape, wireframe, priority, content and optional x, y, z
+   * @param {Array} data.edges - Edge descriptions with source, target, name, color, content, directed, width, dashed, opacity, curvature and weight (also accepted as data.links)
+   * @param {Array} data.groups - Group descriptions with id, name, color, nodeIds, parent and content
+   * @returns {Object} Object containing nodes, links, and groups arrays
+   */
+  buildFromData(data = {}) {
+    const nodes = (data.nodes || []).filter(item => {
+      if (item.id !== null && item.id !== undefined) return true;
+      console.warn(`Skipping invalid node: name="${item.name}" - missing id`);
+      return false;
     });
+    const edges = data.edges || data.links || [];
+    const groups = data.groups || [];
 
-    const nodeIds = new Set(this.nodes.map(n => n.id));
-    
-    this.links = edgeElements
-      .map(el => {
-        return {
-          source: el.getAttribute('source'),
-          target: el.getAttribute('target'),
-          name: el.getAttribute('name'),
-          color: el.getAttribute('color') || this.foregroundColor,
-          content: el.innerHTML,
-          el: el,
-        };
-      })
-      .filter(link => {
-        const hasValidSource = nodeIds.has(link.source);
-        const hasValidTarget = nodeIds.has(link.target);
-        
-        if (!hasValidSource || !hasValidTarget) {
-          console.warn(`Skipping invalid link: source="${link.source}" target="${link.target}" - missing node(s)`);
-          return false;
-        }
-        
-        return true;
-      });
+    return this.build(
+      nodes.map(item => this.parseNodeData(item)),
+      edges.map(item => this.parseEdgeData(item)),
+      groups.map(item => this.parseGroupData(item))
+    );
+  }
 
-    this.groups = groupElements.map(el => {
-      const nodesAttr = el.getAttribute('node-ids') || '';
-      const nodeIds = nodesAttr.split(',').map(id => id.trim()).filter(id => id.length > 0);
+  /**
+   * Validates links, assigns group membership, lays out the nodes and
+   * creates their Three.js objects
+   * 
+   * @param {Array} nodes - Parsed node objects
+   * @param {Array} links - Parsed link objects
+   * @param {Array} groups - Parsed group objects
+   * @returns {Object} Object containing nodes, links, and groups arrays
+   */
+  build(nodes, links, groups) {
+    this.graph.setGraph(nodes, []);
+    
+    this.pendingLinks = [];
+    links.forEach(link => {
+      const hasValidSource = this.graph.hasNode(link.source);
+      const hasValidTarget = this.graph.hasNode(link.target);
       
-      return {
-        id: el.getAttribute('id'),
-        name: el.getAttribute('name'),
-        color: el.getAttribute('color') || '#888888',
-        nodeIds: nodeIds,
-        content: el.innerHTML,
-        el: el,
-      };
+      if (!hasValidSource || !hasValidTarget) {
+        console.warn(`Skipping invalid link: source="${link.source}" target="${link.target}" - missing node(s)`);
+        // Keep the link around so it can be drawn once its nodes are added
+        this.pendingLinks.push(link);
+        return;
+      }
+      
+      this.graph.addLink(link);
     });
 
-    // Assign group membership to nodes
-    this.nodes.forEach(node => {
-      this.groups.forEach(group => {
-        if (group.nodeIds.includes(node.id)) {
-          node.groups.push(group.id);
-        }
-      });
+    this.groups = groups;
+
+    this.objectsByElement = new Map();
+    [...nodes, ...links, ...groups].forEach(object => {
+      if (object.el) this.objectsByElement.set(object.el, object);
     });
 
+    this.assignGroupMembership();
     this.calculateGridPositions();
     this.createNodeMeshes();
     this.createLinks();
@@ -112,82 +174,880 @@ export default class GraphBuilder {
     };
   }
 
+  /**
+   * Removes every node and edge from the scene and frees their GPU resources
+   * 
+   * @returns {void}
+   */
+  clear() {
+    this.releaseNodes();
+    this.nodes.forEach(node => this.disposeNode(node));
+    this.links.forEach(link => this.disposeLink(link));
+    this.graph.clear();
+    this.groups = [];
+    this.pendingLinks = [];
+    this.objectsByElement.clear();
+  }
+
+  /**
+   * Reads a node object from a plain data object
+   * 
+   * @param {Object} item - Node description
+   * @returns {Object} Node object
+   */
+  parseNodeData(item) {
+    const image = item.image || item.icon || null;
+    const node = {
+      id: String(item.id),
+      name: item.name ?? null,
+      color: item.color || (image ? IMAGE_COLOR : this.foregroundColor),
+      wireframe: Boolean(item.wireframe),
+      shape: item.shape || 'pyramid',
+      priority: parseNumber(item.priority, null),
+      size: parseNumber(item.size, null),
+      image,
+      model: item.model || null,
+      content: item.content || '',
+      pinned: Boolean(item.pinned),
+      data: extraFields(Object.entries(item)),
+      el: null,
+      groups: [],
+    };
+    
+    // Explicit coordinates are kept instead of being laid out on the grid,
+    // unless they are marked as where a layout put the node, as in exports
+    const position = this.parsePosition(item.x, item.y, item.z, item.gridX, item.gridY);
+    if (position && item.fixed === false) {
+      node.layoutPosition = position;
+    } else if (position) {
+      Object.assign(node, position, { fixed: true });
+    }
+    
+    return node;
+  }
+
+  /**
+   * Reads a link object from a plain data object
+   * 
+   * @param {Object} item - Edge description
+   * @returns {Object} Link object
+   */
+  parseEdgeData(item) {
+    return {
+      source: String(item.source),
+      target: String(item.target),
+      name: item.name ?? null,
+      color: item.color || this.foregroundColor,
+      content: item.content || '',
+      directed: parseFlag(item.directed),
+      width: parseNumber(item.width, 1),
+      dashed: parseFlag(item.dashed) === true,
+      opacity: parseNumber(item.opacity, 0.6),
+      curvature: parseNumber(item.curvature, 0.3),
+      weight: parseNumber(item.weight, 1),
+      el: null,
+    };
+  }
+
+  /**
+   * Reads a group object from a plain data object
+   * 
+   * @param {Object} item - Group description, nodeIds may be an array or a comma-separated string
+   * @returns {Object} Group object
+   */
+  parseGroupData(item) {
+    const nodeIds = Array.isArray(item.nodeIds)
+      ? item.nodeIds.map(String)
+      : String(item.nodeIds || '').split(',').map(id => id.trim()).filter(id => id.length > 0);
+    
+    return {
+      id: parseId(item.id),
+      name: item.name ?? null,
+      color: item.color || '#888888',
+      nodeIds: nodeIds,
+      parent: parseId(item.parent),
+      content: item.content || '',
+      el: null,
+    };
+  }
+
+  /**
+   * Describes the current graph as a plain data object that buildFromData accepts
+   * 
+   * @returns {Object} Object containing nodes, edges, and groups arrays
+   */
+  toData() {
+    return {
+      nodes: this.nodes.map(node => {
+        const item = {
+          ...node.data,
+          id: node.id,
+          name: node.name,
+          color: node.color,
+          shape: node.shape,
+          wireframe: node.wireframe,
+          priority: node.priority,
+          size: node.size,
+          content: node.content,
+        };
+        if (node.image) item.image = node.image;
+        if (node.model) item.model = node.model;
+        if (node.fixed) Object.assign(item, { x: node.x, y: node.y, z: node.z });
+        return item;
+      }),
+      edges: this.links.concat(this.pendingLinks).map(link => ({
+        source: link.source,
+        target: link.target,
+        name: link.name,
+        color: link.color,
+        content: link.content,
+        directed: link.directed,
+        width: link.width,
+        dashed: link.dashed,
+        opacity: link.opacity,
+        curvature: link.curvature,
+        weight: link.weight,
+      })),
+      groups: this.groups.map(group => ({
+        id: group.id,
+        name: group.name,
+        color: group.color,
+        nodeIds: [...group.nodeIds],
+        parent: group.parent,
+        content: group.content,
+      })),
+    };
+  }
+
+  /**
+   * Reads a node object from a network-node element
+   * 
+   * @param {HTMLElement} el - The network-node element
+   * @returns {Object} Node object
+   */
+  parseNodeElement(el) {
+    const image = el.getAttribute('image') || el.getAttribute('icon') || null;
+    const node = {
+      id: el.getAttribute('id'),
+      name: el.getAttribute('name'),
+      color: el.getAttribute('color') || (image ? IMAGE_COLOR : this.foregroundColor),
+      wireframe: el.hasAttribute('wireframe'),
+      shape: el.getAttribute('shape') || 'pyramid',
+      priority: parseNumber(el.getAttribute('priority'), null),
+      size: parseNumber(el.getAttribute('size'), null),
+      image,
+      model: el.getAttribute('model') || null,
+      content: el.innerHTML,
+      pinned: el.hasAttribute('pinned'),
+      data: extraFields([...el.attributes].map(attribute => [attribute.name, attribute.value])),
+      el: el,
+      groups: [],
+    };
+    
+    // Explicit coordinates, such as those of dragged nodes, are kept instead of being laid out
+    const position = this.parsePosition(
+      ...['x', 'y', 'z', 'grid-x', 'grid-y'].map(name => el.getAttribute(name))
+    );
+    if (position) Object.assign(node, position, { fixed: true });
+    
+    return node;
+  }
+
+  /**
+   * Reads the coordinates a node is kept at, either in world units or as a
+   * grid cell
+   * 
+   * @param {number|string|null} x - X coordinate
+   * @param {number|string|null} y - Y coordinate, 0 if missing
+   * @param {number|string|null} z - Z coordinate
+   * @param {number|string|null} gridX - Grid column, used without x and z
+   * @param {number|string|null} gridY - Grid row, used without x and z
+   * @returns {Object|null} Coordinates with x, y and z, or null if the node should be laid out
+   */
+  parsePosition(x, y, z, gridX, gridY) {
+    const [px, py, pz, column, row] = [x, y, z, gridX, gridY].map(value => parseNumber(value, null));
+    if (px !== null && pz !== null) {
+      return { x: px, y: py ?? 0, z: pz };
+    }
+    if (column !== null && row !== null) {
+      return { x: Math.round(column) * this.nodeSpacing, y: 0, z: Math.round(row) * this.nodeSpacing };
+    }
+    return null;
+  }
+
+  /**
+   * Reads a link object from a network-edge element
+   * 
+   * @param {HTMLElement} el - The network-edge element
+   * @returns {Object} Link object
+   */
+  parseEdgeElement(el) {
+    return {
+      source: el.getAttribute('source'),
+      target: el.getAttribute('target'),
+      name: el.getAttribute('name'),
+      color: el.getAttribute('color') || this.foregroundColor,
+      content: el.innerHTML,
+      directed: parseFlag(el.getAttribute('directed')),
+      width: parseNumber(el.getAttribute('width'), 1),
+      dashed: el.hasAttribute('dashed'),
+      opacity: parseNumber(el.getAttribute('opacity'), 0.6),
+      curvature: parseNumber(el.getAttribute('curvature'), 0.3),
+      weight: parseNumber(el.getAttribute('weight'), 1),
+      el: el,
+    };
+  }
+
+  /**
+   * Reads a group object from a network-group element
+   * 
+   * @param {HTMLElement} el - The network-group element
+   * @returns {Object} Group object
+   */
+  parseGroupElement(el) {
+    const nodesAttr = el.getAttribute('node-ids') || '';
+    const nodeIds = nodesAttr.split(',').map(id => id.trim()).filter(id => id.length > 0);
+    
+    return {
+      id: el.getAttribute('id'),
+      name: el.getAttribute('name'),
+      color: el.getAttribute('color') || '#888888',
+      nodeIds: nodeIds,
+      parent: el.getAttribute('parent'),
+      content: el.innerHTML,
+      el: el,
+    };
+  }
+
+  /**
+   * Recalculates which groups each node belongs to
+   * 
+   * @returns {void}
+   */
+  assignGroupMembership() {
+    this.graph.setGroups(this.groups);
+    this.nodes.forEach(node => {
+      node.groups = this.graph.groupsOf(node.id).map(group => group.id);
+    });
+  }
+
   /**
    * Calculates grid positions for nodes with clean group layout
    * 
    * @returns {void}
    */
   calculateGridPositions() {
-    if (this.nodes.length === 0) return;
+    new GridLayout(this.graph, { nodeSpacing: this.nodeSpacing }).apply();
+  }
+
+  /**
+   * Draws all nodes and their labels
+   * 
+   * @returns {void}
+   */
+  createNodeMeshes() {
+    this.nodes.forEach(node => this.createNodeMesh(node));
+  }
+
+  /**
+   * Draws a single node as an instance of its shape's mesh and creates its label
+   * 
+   * @param {Object} node - The node object
+   * @returns {void}
+   */
+  createNodeMesh(node) {
+    node.originalColor = node.color;
+    node.sizeScale = node.size ?? 1;
+    this.nodeRenderer.add(node);
+    this.createLabel(node);
+  }
 
-    const gridSpacing = this.nodeSpacing;
-    const groupSpacing = 3; // Spacing between different groups
-    const occupiedPositions = new Set();
-    const groupBounds = new Map();
+  /**
+   * Creates the CSS2D label for a node if it has a name
+   * 
+   * @param {Object} node - The node object
+   * @returns {void}
+   */
+  createLabel(node) {
+    if (!node.name) return;
     
-    /**
-     * Place a node at grid coordinates
-     */
-    const placeNode = (node, gridX, gridY) => {
-      occupiedPositions.add(`${gridX},${gridY}`);
-      node.x = gridX * gridSpacing;
-      node.y = 0;
-      node.z = gridY * gridSpacing;
-      node.gridX = gridX;
-      node.gridY = gridY;
-    };
+    const labelDiv = document.createElement('div');
+    // Labels start hidden and are revealed by the label manager, so that
+    // large graphs don't put every label in the DOM at once
+    labelDiv.className = 'node-label label-hidden';
+    labelDiv.textContent = node.name;
+    labelDiv.style.pointerEvents = 'auto'; // Make label clickable
+    labelDiv.style.cursor = 'pointer';
     
-    /**
-     * Check if position is available and respects group bounds
-     */
-    const canPlaceAt = (gridX, gridY, groupId) => {
-      const key = `${gridX},${gridY}`;
-      if (occupiedPositions.has(key)) return false;
+    const label = new CSS2DObject(labelDiv);
+    label.visible = false;
+    label.element.dataset.nodeId = node.id; // Store node ID for lookup
+    node.label = label;
+    this.placeLabel(node);
+    this.graphGroup.add(label);
+  }
+
+  /**
+   * Moves a node's label to just below the node
+   * 
+   * @param {Object} node - The node object
+   * @returns {void}
+   */
+  placeLabel(node) {
+    if (!node.label) return;
+    
+    node.label.position.set(node.x, node.y - LABEL_OFFSET * this.nodeRenderer.getScale(node), node.z);
+  }
+
+  /**
+   * Removes a node's label and its DOM element
+   * 
+   * @param {Object} node - The node object
+   * @returns {void}
+   */
+  removeLabel(node) {
+    if (!node.label) return;
+    
+    this.graphGroup.remove(node.label);
+    node.label.element.remove();
+    node.label = null;
+  }
+
+  /**
+   * Turns image nodes to face the camera
+   * 
+   * @param {THREE.Camera} camera - The camera
+   * @returns {void}
+   */
+  faceCamera(camera) {
+    this.nodeRenderer.faceCamera(camera);
+  }
+
+  /**
+   * Changes the size of every node
+   * 
+   * @param {number} scale - Scale factor for all nodes
+   * @returns {void}
+   */
+  setNodeScale(scale) {
+    this.nodeRenderer.setScale(scale, this.nodes);
+    // Labels and arrowheads sit at the nodes' surfaces, so move them too
+    this.updatePositions();
+  }
+
+  /**
+   * Sizes nodes by mapped values, such as analytics results, on top of their
+   * own size attribute
+   * 
+   * @param {Map<string, number>|null} sizes - Size multipliers by node id, or null to draw every node at its own size
+   * @returns {boolean} True if any node changed size, so that labels and arrowheads need moving
+   */
+  setNodeSizes(sizes) {
+    let changed = false;
+    this.nodes.forEach(node => {
+      const sizeScale = (node.size ?? 1) * (sizes?.get(node.id) ?? 1);
+      if (sizeScale === (node.sizeScale ?? 1)) return;
+
+      node.sizeScale = sizeScale;
+      this.nodeRenderer.setPosition(node);
+      changed = true;
+    });
+    return changed;
+  }
+
+  /**
+   * Draws nodes in other colors than their own, for example mapped from
+   * analytics results. Selection highlights restore these colors
+   * 
+   * @param {Map<string, string>|null} colors - Colors by node id, or null to draw every node in its own color
+   * @returns {void}
+   */
+  setNodeColors(colors) {
+    this.nodes.forEach(node => {
+      const color = colors?.get(node.id) ?? node.color;
+      if (color === node.originalColor) return;
+
+      node.originalColor = color;
+      this.nodeRenderer.setColor(node, color);
+    });
+  }
+
+  /**
+   * Creates arc lines for edges between nodes that extend to the Y axis
+   * 
+   * @returns {void}
+   */
+  createLinks() {
+    this.calculateEdgeOffsets();
+    this.links.forEach(link => this.createLink(link));
+  }
+
+  /**
+   * Draws the arc of a single edge, and the arrowhead of a directed edge
+   * 
+   * @param {Object} link - The link object
+   * @returns {void}
+   */
+  createLink(link) {
+    const sourceNode = this.graph.getNode(link.source);
+    const targetNode = this.graph.getNode(link.target);
+    
+    if (!sourceNode || !targetNode || sourceNode.hidden || targetNode.hidden) return;
+    
+    link.points = this.calculateArcPoints(sourceNode, targetNode, link);
+    this.edgeRenderer.add(link, link.points);
+    
+    if (this.isDirected(link)) {
+      this.placeArrow(link, targetNode);
+    }
+  }
+
+  /**
+   * Points a link's arrowhead along the end of its arc, stopping at the
+   * target node's surface
+   * 
+   * @param {Object} link - The link object
+   * @param {Object} targetNode - The target node object
+   * @returns {void}
+   */
+  placeArrow(link, targetNode) {
+    const points = link.points;
+    const end = points[points.length - 1];
+    const radius = this.nodeRenderer.getRadius(targetNode);
+    
+    // Walk back from the target to the first arc point outside the node
+    let index = points.length - 1;
+    while (index > 1 && points[index].distanceTo(end) < radius) index--;
+    
+    const tip = points[index];
+    const direction = new THREE.Vector3().subVectors(tip, points[index - 1]).normalize();
+    
+    this.edgeRenderer.setArrow(link, tip, direction);
+  }
+
+  /**
+   * Checks whether an edge is drawn with an arrowhead, falling back to the
+   * component default when the edge doesn't say
+   * 
+   * @param {Object} link - The link object
+   * @returns {boolean} True if the edge is directed
+   */
+  isDirected(link) {
+    return link.directed ?? this.directed;
+  }
+
+  /**
+   * Changes the default direction of edges that don't set their own and
+   * redraws them
+   * 
+   * @param {boolean} directed - Whether edges are directed by default
+   * @returns {void}
+   */
+  setDirected(directed) {
+    this.directed = directed;
+    this.links.forEach(link => {
+      if (link.directed !== null || !link.line) return;
+      this.disposeLink(link);
+      this.createLink(link);
+    });
+  }
+
+  /**
+   * Hides the nodes that don't pass a filter, together with their edges
+   * 
+   * @param {Function|null} filter - Called with each node and the graph model, returns true to keep the node. Null shows every node
+   * @returns {void}
+   */
+  setFilter(filter) {
+    this.filter = filter;
+    this.applyFilter();
+  }
+
+  /**
+   * Tests every node against the current filter, then hides edges that lost
+   * a node and draws edges whose nodes are both shown again
+   * 
+   * @returns {void}
+   */
+  applyFilter() {
+    this.nodes.forEach(node => {
+      const hidden = this.filter ? !this.filter(node, this.graph) : false;
+      if (hidden === Boolean(node.hidden)) return;
+      
+      node.hidden = hidden;
+      this.nodeRenderer.setPosition(node);
+    });
+    
+    this.links.forEach(link => {
+      const hidden = this.graph.getNode(link.source).hidden || this.graph.getNode(link.target).hidden;
       
-      // Check if position conflicts with other group bounds
-      for (const [otherGroupId, bounds] of groupBounds.entries()) {
-        if (otherGroupId === groupId) continue;
-        
-        // No nodes allowed in other group's territory
-        if (gridX >= bounds.minX - groupSpacing && gridX <= bounds.maxX + groupSpacing &&
-            gridY >= bounds.minY - groupSpacing && gridY <= bounds.maxY + groupSpacing) {
-          return false;
+      if (hidden && link.line) {
+        this.disposeLink(link);
+      } else if (!hidden && !link.line) {
+        this.createLink(link);
+      }
+    });
+  }
+
+  /**
+   * Sets the viewport size that line widths are measured against
+   * 
+   * @param {number} width - Viewport width in pixels
+   * @param {number} height - Viewport height in pixels
+   * @returns {void}
+   */
+  setResolution(width, height) {
+    this.edgeRenderer.setResolution(width, height);
+  }
+
+  /**
+   * Numbers the edges between each pair of nodes so that their arcs fan out
+   * around the line between the nodes instead of overlapping. The angles only
+   * depend on which links exist, so they are worked out when links are added
+   * or removed rather than on every frame
+   * 
+   * @returns {void}
+   */
+  calculateEdgeOffsets() {
+    const bundles = new Map();
+    
+    this.links.forEach(link => {
+      const key = [link.source, link.target].sort().join('\u0000');
+      if (!bundles.has(key)) bundles.set(key, []);
+      bundles.get(key).push(link);
+    });
+    
+    bundles.forEach(bundle => {
+      bundle.forEach((link, index) => {
+        link.fanAngle = (index - (bundle.length - 1) / 2) * FAN_ANGLE;
+      });
+    });
+  }
+
+  /**
+   * Numbers the edges between two nodes again after one of them was added or
+   * removed, leaving the other pairs of nodes as they are
+   * 
+   * @param {string} source - ID of one of the nodes
+   * @param {string} target - ID of the other node
+   * @returns {void}
+   */
+  fanOutEdges(source, target) {
+    const bundle = this.graph.edgesOf(source).filter(link =>
+      (link.source === source && link.target === target) || (link.source === target && link.target === source)
+    );
+    bundle.forEach((link, index) => {
+      link.fanAngle = (index - (bundle.length - 1) / 2) * FAN_ANGLE;
+    });
+  }
+
+  /**
+   * Adds the graph object described by a network-node, network-edge or network-group element
+   * 
+   * @param {HTMLElement} el - The added element
+   * @returns {void}
+   */
+  addElement(el) {
+    let object;
+    switch (el.tagName.toLowerCase()) {
+      case 'network-node':
+        object = this.parseNodeElement(el);
+        this.addNode(object);
+        break;
+      case 'network-edge':
+        object = this.parseEdgeElement(el);
+        this.addLink(object);
+        break;
+      case 'network-group':
+        object = this.parseGroupElement(el);
+        this.groups.push(object);
+        this.assignGroupMembership();
+        break;
+      default:
+        return;
+    }
+    this.objectsByElement.set(el, object);
+  }
+
+  /**
+   * Removes the graph object that belongs to an element
+   * 
+   * @param {HTMLElement} el - The removed element
+   * @returns {void}
+   */
+  removeElement(el) {
+    const object = this.objectsByElement.get(el);
+    if (!object) return;
+    this.objectsByElement.delete(el);
+    
+    switch (el.tagName.toLowerCase()) {
+      case 'network-node':
+        this.removeNode(object);
+        break;
+      case 'network-edge':
+        if (this.graph.hasLink(object)) {
+          this.removeLink(object);
+        } else {
+          this.pendingLinks.splice(this.pendingLinks.indexOf(object), 1);
         }
+        break;
+      case 'network-group':
+        this.groups.splice(this.groups.indexOf(object), 1);
+        this.assignGroupMembership();
+        break;
+    }
+  }
+
+  /**
+   * Applies attribute and content changes from an element to its graph object
+   * 
+   * @param {HTMLElement} el - The changed element
+   * @returns {void}
+   */
+  updateElement(el) {
+    const object = this.objectsByElement.get(el);
+    if (!object) return;
+    
+    switch (el.tagName.toLowerCase()) {
+      case 'network-node':
+        this.objectsByElement.set(el, this.updateNode(object, this.parseNodeElement(el)));
+        break;
+      case 'network-edge':
+        this.updateLink(object, this.parseEdgeElement(el));
+        break;
+      case 'network-group':
+        Object.assign(object, this.parseGroupElement(el));
+        this.assignGroupMembership();
+        break;
+    }
+  }
+
+  /**
+   * Adds a node, places it next to its group or neighbors, and draws any
+   * pending edges that were waiting for it
+   * 
+   * @param {Object} node - The node object
+   * @returns {void}
+   */
+  addNode(node) {
+    this.graph.addNode(node);
+    this.assignGroupMembership();
+    if (node.fixed) {
+      this.setGridCell(node);
+    } else {
+      this.placeNode(node);
+    }
+    this.createNodeMesh(node);
+    
+    const resolved = this.pendingLinks.filter(l => this.graph.hasNode(l.source) && this.graph.hasNode(l.target));
+    resolved.forEach(link => {
+      this.pendingLinks.splice(this.pendingLinks.indexOf(link), 1);
+      this.graph.addLink(link);
+    });
+    resolved.forEach(link => this.fanOutEdges(link.source, link.target));
+    resolved.forEach(link => this.createLink(link));
+  }
+
+  /**
+   * Removes a node and parks its edges until the node returns
+   * 
+   * @param {Object} node - The node object
+   * @returns {void}
+   */
+  removeNode(node) {
+    this.disposeNode(node);
+    this.graph.removeNode(node);
+    
+    // Another node with the same id keeps the edges
+    if (this.graph.hasNode(node.id)) return;
+    
+    const links = this.graph.edgesOf(node.id);
+    links.forEach(link => {
+      this.disposeLink(link);
+      this.graph.removeLink(link);
+      this.pendingLinks.push(link);
+    });
+    // Every edge at the node is gone, so no other edges need fanning out again
+  }
+
+  /**
+   * Draws removed nodes again, without their labels and edges, so that they
+   * can shrink away in a transition. They count as hidden until released
+   * 
+   * @param {Array} nodes - Removed node objects
+   * @returns {void}
+   */
+  retainNodes(nodes) {
+    nodes.forEach(node => {
+      node.hidden = true;
+      this.nodeRenderer.add(node);
+      this.retainedNodes.add(node);
+    });
+  }
+
+  /**
+   * Removes the nodes kept by retainNodes() from the scene
+   * 
+   * @returns {void}
+   */
+  releaseNodes() {
+    this.retainedNodes.forEach(node => this.nodeRenderer.remove(node));
+    this.retainedNodes.clear();
+  }
+
+  /**
+   * Updates a node in place, keeping its position and mesh where possible
+   * 
+   * @param {Object} node - The existing node object
+   * @param {Object} next - Node object freshly parsed from the element
+   * @returns {Object} The node object that now stands for the element
+   */
+  updateNode(node, next) {
+    // A new id means different edges and groups, so treat it as a new node
+    if (next.id !== node.id) {
+      const { x, y, z } = node;
+      this.removeNode(node);
+      if (!next.fixed) Object.assign(next, { x, y, z });
+      this.addNode(next);
+      return next;
+    }
+    
+    if (['shape', 'wireframe', 'image', 'model'].some(field => next[field] !== node[field])) {
+      // Shapes, wireframe styles, images and models are drawn by different meshes
+      this.nodeRenderer.remove(node);
+      Object.assign(node, { shape: next.shape, wireframe: next.wireframe, image: next.image, model: next.model, color: next.color });
+      this.nodeRenderer.add(node);
+      node.originalColor = next.color;
+    } else if (next.color !== node.color) {
+      this.nodeRenderer.setColor(node, next.color);
+      node.originalColor = next.color;
+    }
+    
+    if (next.name !== node.name) {
+      node.name = next.name;
+      if (node.label && node.name) {
+        node.label.element.textContent = node.name;
+        // The label manager measures labels once, so measure the new text again
+        delete node.label.userData.size;
+      } else {
+        this.removeLabel(node);
+        this.createLabel(node);
       }
-      
-      return true;
-    };
+    }
     
-    /**
-     * Update group bounds
-     */
-    const updateBounds = (groupId, gridX, gridY) => {
-      if (!groupBounds.has(groupId)) {
-        groupBounds.set(groupId, { minX: gridX, maxX: gridX, minY: gridY, maxY: gridY });
+    node.color = next.color;
+    node.shape = next.shape;
+    node.wireframe = next.wireframe;
+    node.priority = next.priority;
+    node.size = next.size;
+    node.image = next.image;
+    node.model = next.model;
+    node.content = next.content;
+    node.pinned = next.pinned;
+    node.data = next.data;
+    
+    // Unpinned nodes stay where they are until a layout moves them
+    if (next.fixed) Object.assign(node, { x: next.x, y: next.y, z: next.z });
+    node.fixed = Boolean(next.fixed);
+    return node;
+  }
+
+  /**
+   * Updates a link in place, redrawing it when its endpoints change
+   * 
+   * @param {Object} link - The existing link object
+   * @param {Object} next - Link object freshly parsed from the element
+   * @returns {void}
+   */
+  updateLink(link, next) {
+    const endpointsChanged = next.source !== link.source || next.target !== link.target;
+    
+    // Take the link off its old nodes before it gets the new ones
+    if (endpointsChanged) {
+      if (this.graph.hasLink(link)) {
+        this.removeLink(link);
       } else {
-        const bounds = groupBounds.get(groupId);
-        bounds.minX = Math.min(bounds.minX, gridX);
-        bounds.maxX = Math.max(bounds.maxX, gridX);
-        bounds.minY = Math.min(bounds.minY, gridY);
-        bounds.maxY = Math.max(bounds.maxY, gridY);
+        this.pendingLinks.splice(this.pendingLinks.indexOf(link), 1);
       }
-    };
+    }
+    Object.assign(link, { ...next, line: link.line });
+    
+    if (endpointsChanged) {
+      this.addLink(link);
+    } else if (link.line) {
+      this.disposeLink(link);
+      this.createLink(link);
+    }
+  }
+
+  /**
+   * Adds a link, or parks it until both of its nodes exist
+   * 
+   * @param {Object} link - The link object
+   * @returns {void}
+   */
+  addLink(link) {
+    const hasSource = this.graph.hasNode(link.source);
+    const hasTarget = this.graph.hasNode(link.target);
+    
+    if (!hasSource || !hasTarget) {
+      this.pendingLinks.push(link);
+      return;
+    }
+    
+    this.graph.addLink(link);
+    this.fanOutEdges(link.source, link.target);
+    this.createLink(link);
+  }
+
+  /**
+   * Removes a drawn link, and fans out the edges left between its nodes again
+   * 
+   * @param {Object} link - The link object
+   * @returns {void}
+   */
+  removeLink(link) {
+    this.disposeLink(link);
+    this.graph.removeLink(link);
+    this.fanOutEdges(link.source, link.target);
+  }
+
+  /**
+   * Places a newly added node on a free grid cell next to its group members
+   * or neighbors, without moving any existing nodes
+   * 
+   * @param {Object} node - The node object
+   * @returns {void}
+   */
+  placeNode(node) {
+    const placed = this.nodes.filter(n => n !== node && n.gridX !== undefined);
+    const occupied = new Set(placed.map(n => `${n.gridX},${n.gridY}`));
+    
+    const neighborIds = new Set();
+    this.graph.edgesOf(node.id).concat(this.pendingLinks).forEach(link => {
+      if (link.source === node.id) neighborIds.add(link.target);
+      if (link.target === node.id) neighborIds.add(link.source);
+    });
+    
+    // Start next to a member of the innermost group it shares with a placed node
+    const sharedGroups = this.graph.groupsOf(node.id).reverse();
+    const anchor = sharedGroups
+      .map(group => placed.find(n => this.graph.groupsOf(n.id).includes(group)))
+      .find(Boolean) ||
+      placed.find(n => neighborIds.has(n.id));
+    const startX = anchor ? anchor.gridX : 0;
+    const startY = anchor ? anchor.gridY : 0;
     
     /**
-     * Find nearest available position
+     * Find nearest free grid cell, spiralling out from the start position
      */
-    const findPosition = (startX, startY, groupId) => {
-      if (canPlaceAt(startX, startY, groupId)) return { x: startX, y: startY };
-      
-      for (let radius = 1; radius < 50; radius++) {
+    const findPosition = () => {
+      for (let radius = 0; radius < 50; radius++) {
         for (let dx = -radius; dx <= radius; dx++) {
           for (let dy = -radius; dy <= radius; dy++) {
-            if (Math.abs(dx) === radius || Math.abs(dy) === radius) {
-              const x = startX + dx;
-              const y = startY + dy;
-              if (canPlaceAt(x, y, groupId)) {
-                return { x, y };
-              }
+            if (Math.abs(dx) !== radius && Math.abs(dy) !== radius) continue;
+            if (!occupied.has(`${startX + dx},${startY + dy}`)) {
+              return { x: startX + dx, y: startY + dy };
             }
           }
         }
@@ -195,201 +1055,232 @@ export default class GraphBuilder {
       return { x: startX, y: startY }; // Fallback
     };
     
-    // Organize nodes by groups
-    const groupedNodes = new Map();
-    const ungroupedNodes = [];
+    const position = findPosition();
     
+    node.gridX = position.x;
+    node.gridY = position.y;
+    node.x = position.x * this.nodeSpacing;
+    node.y = anchor ? anchor.y : 0;
+    node.z = position.y * this.nodeSpacing;
+  }
+
+  /**
+   * Records the grid cell a node's coordinates fall in, so that nodes placed
+   * later keep out of it
+   * 
+   * @param {Object} node - The node object
+   * @returns {void}
+   */
+  setGridCell(node) {
+    node.gridX = Math.round(node.x / this.nodeSpacing);
+    node.gridY = Math.round(node.z / this.nodeSpacing);
+  }
+
+  /**
+   * Lists the coordinates of every node, for saving a layout
+   * 
+   * @returns {Object} Coordinates with x, y and z, by node id
+   */
+  getPositions() {
+    const positions = {};
     this.nodes.forEach(node => {
-      if (node.groups.length > 0) {
-        const groupId = node.groups[0]; // Use first group
-        if (!groupedNodes.has(groupId)) {
-          groupedNodes.set(groupId, []);
-        }
-        groupedNodes.get(groupId).push(node);
-      } else {
-        ungroupedNodes.push(node);
-      }
+      positions[node.id] = {
+        x: Math.round(node.x * 100) / 100,
+        y: Math.round(node.y * 100) / 100,
+        z: Math.round(node.z * 100) / 100
+      };
     });
-    
-    // Place groups
-    let groupIndex = 0;
-    const groupStartPositions = [
-      [0, 0],   // Center
-      [5, 0],   // Right
-      [-5, 0],  // Left  
-      [0, 5],   // Up
-      [0, -5],  // Down
-      [5, 5],   // Top-right
-      [-5, 5],  // Top-left
-      [5, -5],  // Bottom-right
-      [-5, -5]  // Bottom-left
-    ];
-    
-    for (const [groupId, nodes] of groupedNodes.entries()) {
-      if (nodes.length === 0) continue;
-      
-      // Get starting position for this group
-      const [startX, startY] = groupStartPositions[groupIndex % groupStartPositions.length];
-      groupIndex++;
-      
-      // Place first node of group
-      const pos = findPosition(startX, startY, groupId);
-      placeNode(nodes[0], pos.x, pos.y);
-      updateBounds(groupId, pos.x, pos.y);
-      
-      // Place remaining nodes adjacent to group members
-      const adjacentOffsets = [
-        [1, 0], [-1, 0], [0, 1], [0, -1],
-        [1, 1], [-1, 1], [1, -1], [-1, -1]
-      ];
-      
-      for (let i = 1; i < nodes.length; i++) {
-        const node = nodes[i];
-        let placed = false;
-        
-        // Try to place next to existing group members
-        for (let j = 0; j < i && !placed; j++) {
-          const existingNode = nodes[j];
-          
-          for (const [dx, dy] of adjacentOffsets) {
-            const x = existingNode.gridX + dx;
-            const y = existingNode.gridY + dy;
-            
-            if (canPlaceAt(x, y, groupId)) {
-              placeNode(node, x, y);
-              updateBounds(groupId, x, y);
-              placed = true;
-              break;
-            }
-          }
-        }
-        
-        // If couldn't place adjacent, find nearest position
-        if (!placed) {
-          const pos = findPosition(nodes[0].gridX, nodes[0].gridY, groupId);
-          placeNode(node, pos.x, pos.y);
-          updateBounds(groupId, pos.x, pos.y);
-        }
-      }
-    }
-    
-    // Place ungrouped nodes
-    ungroupedNodes.forEach(node => {
-      const pos = findPosition(0, 0, null);
-      placeNode(node, pos.x, pos.y);
+    return positions;
+  }
+
+  /**
+   * Collects the coordinates that nodes were given as where a layout put
+   * them rather than where they are kept, and forgets them
+   * 
+   * @returns {Object} Coordinates with x, y and z, by node id
+   */
+  takeLayoutPositions() {
+    const positions = {};
+    this.nodes.forEach(node => {
+      if (!node.layoutPosition) return;
+      positions[node.id] = node.layoutPosition;
+      delete node.layoutPosition;
     });
+    return positions;
   }
 
   /**
-   * Creates Three.js meshes for all nodes
+   * Moves nodes to saved coordinates, and places the nodes that have none on
+   * free grid cells next to their groups or neighbors. Nodes with explicit
+   * coordinates keep them
    * 
-   * @returns {void}
+   * @param {Object} positions - Coordinates with x, y and z, by node id
+   * @returns {number} The number of nodes moved to saved coordinates
    */
-  createNodeMeshes() {
+  restorePositions(positions) {
+    const unplaced = [];
+    let restored = 0;
+    
     this.nodes.forEach(node => {
-      const group = new THREE.Group();
-      
-      // Apply minimum size constraint to base geometry dimensions
-      const baseSize = Math.max(5, this.minimumNodeSize * 5);
-      const baseHeight = Math.max(10, this.minimumNodeSize * 10);
-      const baseRadius = Math.max(2, this.minimumNodeSize * 2);
-      
-      let geometry;
-      switch(node.shape) {
-        case 'cube':
-        case 'box':
-        case 'square':
-          geometry = new THREE.BoxGeometry(baseHeight, baseHeight, baseHeight);
-          break;
-        case 'sphere':
-          geometry = new THREE.SphereGeometry(baseSize, 4, 4);
-          break;
-        case 'pyramid':
-          geometry = new THREE.ConeGeometry(baseSize, baseHeight, 3);
-          break;
-        case 'torus':
-          geometry = new THREE.TorusGeometry(baseSize, baseRadius, 4, 4);
-          break;
-        default:
-          geometry = new THREE.ConeGeometry(baseSize, baseHeight, 3);
+      if (node.fixed) return;
+      if (!Object.hasOwn(positions, node.id)) {
+        unplaced.push(node);
+        return;
       }
       
-      const material = new THREE.MeshBasicMaterial({ 
-        color: node.color, 
-        wireframe: node.wireframe 
-      });
-      const mesh = new THREE.Mesh(geometry, material);
-      node.mesh = mesh;
-      node.originalColor = node.color;
-      group.add(mesh);
-      
-      if (node.name) {
-        const labelDiv = document.createElement('div');
-        labelDiv.className = 'node-label';
-        labelDiv.textContent = node.name;
-        labelDiv.style.pointerEvents = 'auto'; // Make label clickable
-        labelDiv.style.cursor = 'pointer';
-        
-        const label = new CSS2DObject(labelDiv);
-        // Position label above the node based on geometry height
-        label.position.set(0, -5, 0);
-        label.element.dataset.nodeId = node.id; // Store node ID for lookup
-        group.add(label);
-      }
-      
-      group.position.set(node.x, node.y, node.z);
-      node.group = group;
-      this.graphGroup.add(group);
+      const { x, y, z } = positions[node.id];
+      Object.assign(node, { x, y, z });
+      this.setGridCell(node);
+      restored++;
+    });
+    
+    // Without any saved coordinates the layout stays as it is
+    if (restored === 0) return 0;
+    
+    unplaced.forEach(node => {
+      delete node.gridX;
+      delete node.gridY;
     });
+    unplaced.forEach(node => this.placeNode(node));
+    return restored;
   }
 
   /**
-   * Creates arc line objects for edges between nodes that extend to the Y axis
+   * Removes a node's instance and label from the scene
    * 
+   * @param {Object} node - The node object
    * @returns {void}
    */
-  createLinks() {
+  disposeNode(node) {
+    if (!node.mesh) return;
+    
+    this.removeLabel(node);
+    this.nodeRenderer.remove(node);
+  }
+
+  /**
+   * Removes a link's line and arrowhead from the scene
+   * 
+   * @param {Object} link - The link object
+   * @returns {void}
+   */
+  disposeLink(link) {
+    if (!link.line) return;
+    
+    this.edgeRenderer.remove(link);
+    link.points = null;
+  }
+
+  /**
+   * Calculates the points of the arc between two nodes
+   * 
+   * @param {Object} sourceNode - Source node with x, y, z coordinates
+   * @param {Object} targetNode - Target node with x, y, z coordinates
+   * @param {Object} link - Optional link with curvature, fanAngle and the points of its current arc
+   * @returns {Array<THREE.Vector3>} Points along the arc
+   */
+  calculateArcPoints(sourceNode, targetNode, link = {}) {
+    const start = new THREE.Vector3(sourceNode.x, sourceNode.y, sourceNode.z);
+    const end = new THREE.Vector3(targetNode.x, targetNode.y, targetNode.z);
+    
+    // Calculate midpoint
+    const midpoint = new THREE.Vector3(
+      (start.x + end.x) / 2,
+      (start.y + end.y) / 2,
+      (start.z + end.z) / 2
+    );
+    
+    // Calculate distance between nodes to determine arc height
+    const distance = start.distanceTo(end);
+    const arcHeight = distance * (link.curvature ?? 0.3); // Arc height defaults to 30% of distance
+    
+    // Bend along the Y axis, rotated around the line between the nodes for
+    // parallel edges. The axis always runs from the lower to the higher id so
+    // that edges in both directions fan out the same way
+    const axis = sourceNode.id < targetNode.id
+      ? new THREE.Vector3().subVectors(end, start)
+      : new THREE.Vector3().subVectors(start, end);
+    axis.normalize();
+    
+    const bend = new THREE.Vector3(0, 1, 0);
+    if (Math.abs(axis.dot(bend)) > 0.99) bend.set(1, 0, 0);
+    bend.addScaledVector(axis, -axis.dot(bend)).normalize();
+    if (link.fanAngle) bend.applyAxisAngle(axis, link.fanAngle);
+    
+    const controlPoint = midpoint.clone().addScaledVector(bend, arcHeight);
+    
+    // Create quadratic bezier curve, reusing the link's points while a layout
+    // animates so that large graphs don't allocate new vectors every frame
+    const curve = new THREE.QuadraticBezierCurve3(start, controlPoint, end);
+    const points = link.points || [];
+    for (let i = 0; i <= ARC_SEGMENTS; i++) {
+      points[i] = curve.getPoint(i / ARC_SEGMENTS, points[i]);
+    }
+    return points;
+  }
+
+  /**
+   * Moves nodes and labels to their current coordinates and reshapes edge arcs to match
+   * 
+   * @returns {void}
+   */
+  updatePositions() {
+    this.nodeRenderer.setPositions(this.nodes);
+    this.nodeRenderer.setPositions(this.retainedNodes);
+    this.nodes.forEach(node => this.placeLabel(node));
+    
     this.links.forEach(link => {
-      const sourceNode = this.nodes.find(n => n.id === link.source);
-      const targetNode = this.nodes.find(n => n.id === link.target);
-      
-      if (!sourceNode || !targetNode) return;
-      
-      const start = new THREE.Vector3(sourceNode.x, sourceNode.y, sourceNode.z);
-      const end = new THREE.Vector3(targetNode.x, targetNode.y, targetNode.z);
-      
-      // Calculate midpoint
-      const midpoint = new THREE.Vector3(
-        (start.x + end.x) / 2,
-        (start.y + end.y) / 2,
-        (start.z + end.z) / 2
-      );
-      
-      // Calculate distance between nodes to determine arc height
-      const distance = start.distanceTo(end);
-      const arcHeight = distance * 0.3; // Arc height is 30% of distance
-      
-      // Create control point extending along Y axis
-      const controlPoint = new THREE.Vector3(
-        midpoint.x,
-        midpoint.y + arcHeight,
-        midpoint.z
-      );
+      const sourceNode = this.graph.getNode(link.source);
+      const targetNode = this.graph.getNode(link.target);
       
-      // Create quadratic bezier curve
-      const curve = new THREE.QuadraticBezierCurve3(start, controlPoint, end);
-      const points = curve.getPoints(50); // 50 segments for smooth curve
+      if (!link.line || !sourceNode || !targetNode) return;
       
-      const geometry = new THREE.BufferGeometry().setFromPoints(points);
-      const material = new THREE.LineBasicMaterial({ 
-        color: link.color || this.foregroundColor,
-        opacity: 0.6,
-        transparent: true
-      });
-      
-      const line = new THREE.Line(geometry, material);
-      link.line = line;
-      this.graphGroup.add(line);
+      link.points = this.calculateArcPoints(sourceNode, targetNode, link);
+      this.edgeRenderer.setPoints(link, link.points);
+      if (link.arrow) this.placeArrow(link, targetNode);
     });
   }
 }
+
+/**
+ * Reads an on/off attribute that may be left unset
+ * 
+ * @param {string|boolean|null|undefined} value - Attribute or data value
+ * @returns {boolean|null} The flag, or null if it isn't set
+ */
+function parseFlag(value) {
+  if (value === null || value === undefined) return null;
+  return value !== false && value !== 'false';
+}
+
+/**
+ * Keeps the attributes or data fields of a node that aren't node fields
+ * 
+ * @param {Array<Array>} entries - Name and value pairs
+ * @returns {Object} The other values by name
+ */
+function extraFields(entries) {
+  return Object.fromEntries(entries.filter(([name]) => !NODE_FIELDS.includes(name)));
+}
+
+/**
+ * Reads a numeric attribute, allowing zero
+ * 
+ * @param {string|number|null|undefined} value - Attribute or data value
+ * @param {number|null} fallback - Value to use when it isn't a number
+ * @returns {number|null} The number, or the fallback
+ */
+function parseNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Reads an optional id as a string, so that numeric ids match string ones
+ *
+ * @param {*} value - The id
+ * @returns {string|null} The id as a string, or null if it is not set
+ */
+function parseId(value) {
+  return value === null || value === undefined ? null : String(value);
+}
@@ -0,0 +1,367 @@
+import * as THREE from 'three';
+import GraphModel from './graph-model.js';
+
+/**
+ * Maps GraphBuilder shapes to Graphviz node shapes
+ */
+const DOT_SHAPES = {
+  cube: 'box',
+  box: 'box',
+  square: 'box',
+  sphere: 'circle',
+  pyramid: 'triangle',
+  torus: 'doublecircle',
+};
+
+/**
+ * GraphExporter
+ *
+ * Serializes the built graph, including computed layout positions, to JSON,
+ * GraphML or Graphviz DOT. JSON output can be loaded again with setData, and
+ * GraphML output with GraphImporter. GraphML and DOT place the x-z grid plane
+ * on the document's 2D plane, matching GraphImporter.
+ *
+ * @class GraphExporter
+ */
+export default class GraphExporter {
+  /**
+   * Serializes a graph in the given format
+   *
+   * @param {Object} graph - Object containing nodes, links, and groups arrays
+   * @param {string} format - json, graphml or dot (default json)
+   * @returns {string} The serialized graph
+   */
+  export(graph, format = 'json') {
+    switch (format.toLowerCase()) {
+      case 'json':
+        return this.toJSON(graph);
+      case 'graphml':
+        return this.toGraphML(graph);
+      case 'dot':
+      case 'gv':
+        return this.toDOT(graph);
+      default:
+        throw new Error(`Unsupported export format "${format}"`);
+    }
+  }
+
+  /**
+   * Serializes a graph as JSON in the shape setData accepts
+   *
+   * @param {Object} graph - Object containing nodes, links, and groups arrays
+   * @returns {string} Indented JSON document
+   */
+  toJSON({ nodes, links, groups }) {
+    const data = {
+      nodes: nodes.map(node => ({
+        ...node.data,
+        id: node.id,
+        name: node.name,
+        color: toHexColor(node.color),
+        shape: node.shape,
+        wireframe: node.wireframe,
+        priority: node.priority,
+        size: node.size,
+        image: node.image,
+        model: node.model,
+        groups: [...node.groups],
+        x: round(node.x),
+        y: round(node.y),
+        z: round(node.z),
+        // Tells layout positions from kept ones, so that loading them pins only the latter
+        fixed: Boolean(node.fixed),
+        gridX: node.gridX,
+        gridY: node.gridY,
+        content: node.content,
+      })),
+      edges: links.map(link => ({
+        source: link.source,
+        target: link.target,
+        name: link.name,
+        color: toHexColor(link.color),
+        content: link.content,
+        directed: link.directed,
+        width: link.width,
+        dashed: link.dashed,
+        opacity: link.opacity,
+        curvature: link.curvature,
+        weight: link.weight,
+      })),
+      groups: groups.map(group => ({
+        id: group.id,
+        name: group.name,
+        color: toHexColor(group.color),
+        nodeIds: [...group.nodeIds],
+        parent: group.parent ?? null,
+        content: group.content,
+      })),
+    };
+
+    return JSON.stringify(data, null, 2);
+  }
+
+  /**
+   * Serializes a graph as GraphML, nesting groups inside their parents and
+   * nodes inside their innermost group, and listing every group a node
+   * belongs to in a groups attribute
+   *
+   * @param {Object} graph - Object containing nodes, links, and groups arrays
+   * @returns {string} GraphML document
+   */
+  toGraphML({ nodes, links, groups }) {
+    const nodeKeys = [
+      ['label', 'string'], ['color', 'string'], ['shape', 'string'], ['wireframe', 'boolean'], ['size', 'double'],
+      ['image', 'string'], ['model', 'string'], ['x', 'double'], ['y', 'double'], ['z', 'double'], ['fixed', 'boolean'], ['gridX', 'int'],
+      ['gridY', 'int'], ['groups', 'string'], ['content', 'string'],
+    ];
+    const edgeKeys = [
+      ['label', 'string'], ['color', 'string'], ['width', 'double'], ['dashed', 'boolean'],
+      ['opacity', 'double'], ['curvature', 'double'], ['weight', 'double'],
+      ['content', 'string'],
+    ];
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ];
+
+    nodeKeys.forEach(([name, type]) => {
+      lines.push(`  <key id="n_${name}" for="node" attr.name="${name}" attr.type="${type}"/>`);
+    });
+    edgeKeys.forEach(([name, type]) => {
+      lines.push(`  <key id="e_${name}" for="edge" attr.name="${name}" attr.type="${type}"/>`);
+    });
+
+    /**
+     * Formats data elements for the non-empty values of a node or edge
+     */
+    const dataLines = (prefix, values, indent) => Object.entries(values)
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([name, value]) => `${indent}<data key="${prefix}_${name}">${escapeXML(String(value))}</data>`);
+
+    /**
+     * Formats a node element
+     */
+    const nodeLines = (node, indent) => {
+      // The grid plane (x-z) becomes the document plane (x-y), height becomes z
+      const values = {
+        label: node.name,
+        color: toHexColor(node.color),
+        shape: node.shape,
+        wireframe: node.wireframe,
+        size: node.size,
+        image: node.image,
+        model: node.model,
+        x: round(node.x),
+        y: round(node.z),
+        z: round(node.y),
+        fixed: Boolean(node.fixed),
+        gridX: node.gridX,
+        gridY: node.gridY,
+        groups: node.groups.join(','),
+        content: node.content,
+      };
+
+      return [
+        `${indent}<node id="${escapeXML(node.id)}">`,
+        ...dataLines('n', values, indent + '  '),
+        `${indent}</node>`,
+      ];
+    };
+
+    lines.push('  <graph id="network" edgedefault="directed">');
+
+    const model = nestGroups(nodes, groups);
+
+    /**
+     * Formats a group as a node whose graph holds its nodes and nested groups
+     */
+    const groupLines = (group, indent) => {
+      const groupId = group.id ?? `group-${groups.indexOf(group)}`;
+      const members = nodes.filter(node => model.homeGroupOf(node.id) === group);
+
+      return [
+        `${indent}<node id="${escapeXML(groupId)}">`,
+        ...dataLines('n', {
+          label: group.name,
+          color: toHexColor(group.color),
+          content: group.content,
+        }, indent + '  '),
+        `${indent}  <graph id="${escapeXML(groupId)}:" edgedefault="directed">`,
+        ...members.flatMap(node => nodeLines(node, indent + '    ')),
+        ...model.childrenOf(group).flatMap(child => groupLines(child, indent + '    ')),
+        `${indent}  </graph>`,
+        `${indent}</node>`,
+      ];
+    };
+
+    const ungrouped = nodes.filter(node => !model.homeGroupOf(node.id));
+    ungrouped.forEach(node => lines.push(...nodeLines(node, '    ')));
+    groups
+      .filter(group => !model.parentOf(group))
+      .forEach(group => lines.push(...groupLines(group, '    ')));
+
+    links.forEach(link => {
+      // Only edges that set their own direction override the component default
+      const directed = typeof link.directed === 'boolean' ? ` directed="${link.directed}"` : '';
+      lines.push(`    <edge source="${escapeXML(link.source)}" target="${escapeXML(link.target)}"${directed}>`);
+      lines.push(...dataLines('e', {
+        label: link.name,
+        color: toHexColor(link.color),
+        width: link.width,
+        dashed: link.dashed,
+        opacity: link.opacity,
+        curvature: link.curvature,
+        weight: link.weight,
+        content: link.content,
+      }, '      '));
+      lines.push('    </edge>');
+    });
+
+    lines.push('  </graph>');
+    lines.push('</graphml>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Serializes a graph as Graphviz DOT with groups as clusters and
+   * positions as pos attributes, marked with ! for pinned nodes
+   *
+   * @param {Object} graph - Object containing nodes, links, and groups arrays
+   * @returns {string} DOT document
+   */
+  toDOT({ nodes, links, groups }) {
+    const lines = ['digraph network {'];
+
+    /**
+     * Formats a DOT attribute list from non-empty values
+     */
+    const attributes = values => {
+      const pairs = Object.entries(values)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([name, value]) => `${name}=${quoteDOT(String(value))}`);
+      return pairs.length > 0 ? ` [${pairs.join(', ')}]` : '';
+    };
+
+    /**
+     * Formats a node statement
+     */
+    const nodeLine = (node, indent) => {
+      // The grid plane (x-z) becomes the drawing plane, height becomes z.
+      // Graphviz keeps nodes whose pos ends in ! where they are
+      return `${indent}${quoteDOT(node.id)}${attributes({
+        label: node.name ?? node.id,
+        color: toHexColor(node.color),
+        shape: DOT_SHAPES[node.shape] || 'triangle',
+        style: node.wireframe ? null : 'filled',
+        fillcolor: node.wireframe ? null : toHexColor(node.color),
+        pos: `${round(node.x)},${round(node.z)}${node.fixed ? '!' : ''}`,
+        z: round(node.y),
+        gridx: node.gridX,
+        gridy: node.gridY,
+        groups: node.groups.join(','),
+        content: node.content,
+      })};`;
+    };
+
+    const model = nestGroups(nodes, groups);
+
+    /**
+     * Formats a group as a cluster holding its nodes and nested clusters
+     */
+    const clusterLines = (group, indent) => {
+      const members = nodes.filter(node => model.homeGroupOf(node.id) === group);
+
+      // Graphviz only draws subgraphs whose names start with "cluster" as boxes
+      return [
+        `${indent}subgraph ${quoteDOT(`cluster_${group.id ?? groups.indexOf(group)}`)} {`,
+        `${indent}  label=${quoteDOT(group.name ?? group.id ?? '')};`,
+        `${indent}  color=${quoteDOT(toHexColor(group.color))};`,
+        ...(group.content ? [`${indent}  content=${quoteDOT(group.content)};`] : []),
+        ...members.map(node => nodeLine(node, indent + '  ')),
+        ...model.childrenOf(group).flatMap(child => clusterLines(child, indent + '  ')),
+        `${indent}}`,
+      ];
+    };
+
+    const ungrouped = nodes.filter(node => !model.homeGroupOf(node.id));
+    ungrouped.forEach(node => lines.push(nodeLine(node, '  ')));
+    groups
+      .filter(group => !model.parentOf(group))
+      .forEach(group => lines.push(...clusterLines(group, '  ')));
+
+    links.forEach(link => {
+      lines.push(`  ${quoteDOT(link.source)} -> ${quoteDOT(link.target)}${attributes({
+        label: link.name,
+        color: toHexColor(link.color),
+        dir: link.directed === false ? 'none' : null,
+        penwidth: link.width,
+        style: link.dashed ? 'dashed' : null,
+        content: link.content,
+      })};`);
+    });
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * Works out how groups nest and which group each node is written in
+ *
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} groups - Array of group objects
+ * @returns {GraphModel} A model of the nodes and groups, without links
+ */
+function nestGroups(nodes, groups) {
+  const model = new GraphModel();
+  model.setGraph(nodes, []);
+  model.setGroups(groups);
+  return model;
+}
+
+/**
+ * Rounds a coordinate to two decimals so exports diff cleanly
+ *
+ * @param {number} value - The coordinate
+ * @returns {number|null} The rounded coordinate, or null if it is not set
+ */
+function round(value) {
+  return Number.isFinite(value) ? Math.round(value * 100) / 100 : null;
+}
+
+/**
+ * Converts any CSS color to a #rrggbb hex string
+ *
+ * @param {string} color - CSS color such as "red", "rgb(0, 0, 0)" or "#f80"
+ * @returns {string|null} Hex color, or null if no color is set
+ */
+function toHexColor(color) {
+  if (!color) return null;
+  return `#${new THREE.Color(color).getHexString()}`;
+}
+
+/**
+ * Escapes text for use in XML content and attribute values. Shared with
+ * SnapshotExporter
+ *
+ * @param {*} text - The text to escape, converted to a string first
+ * @returns {string} Escaped text
+ */
+export function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Quotes a DOT identifier or attribute value
+ *
+ * @param {string} text - The text to quote
+ * @returns {string} Double-quoted and escaped text
+ */
+function quoteDOT(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
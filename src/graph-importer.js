@@ -0,0 +1,545 @@
+/**
+ * Maps shape names used by Gephi and yEd to the shapes GraphBuilder draws
+ */
+const SHAPE_NAMES = {
+  disc: 'sphere',
+  circle: 'sphere',
+  ellipse: 'sphere',
+  sphere: 'sphere',
+  square: 'cube',
+  rectangle: 'cube',
+  roundrectangle: 'cube',
+  box: 'cube',
+  cube: 'cube',
+  triangle: 'pyramid',
+  diamond: 'pyramid',
+  pyramid: 'pyramid',
+  torus: 'torus',
+  glb: 'glb',
+};
+
+/**
+ * Attribute names that assign a node to a group
+ */
+const GROUP_ATTRIBUTES = ['group', 'community', 'cluster', 'modularity_class', 'modularity class'];
+
+/**
+ * Attribute names that style or weigh edges
+ */
+const EDGE_STYLE_FIELDS = ['width', 'dashed', 'opacity', 'curvature', 'weight'];
+
+/**
+ * GraphImporter
+ *
+ * Converts GraphML, GEXF and JSON documents into the plain
+ * {nodes, edges, groups} data object that GraphBuilder.buildFromData accepts.
+ * Positions from the source document are mapped so that its 2D plane lies
+ * on the x-z grid plane: x stays x, y becomes z, and z becomes height (y).
+ *
+ * @class GraphImporter
+ */
+export default class GraphImporter {
+  /**
+   * Parses a graph document in the given or detected format
+   *
+   * @param {string} text - The document text
+   * @param {string} format - Optional format: json, graphml or gexf (detected when omitted)
+   * @returns {Object} Object with nodes, edges and groups arrays
+   */
+  parse(text, format) {
+    const resolvedFormat = (format || this.detectFormat(text)).toLowerCase();
+
+    switch (resolvedFormat) {
+      case 'json':
+        return JSON.parse(text);
+      case 'graphml':
+        return this.parseGraphML(this.parseXML(text));
+      case 'gexf':
+        return this.parseGEXF(this.parseXML(text));
+      default:
+        throw new Error(`Unsupported graph format "${resolvedFormat}"`);
+    }
+  }
+
+  /**
+   * Detects the format of a graph document from its content
+   *
+   * @param {string} text - The document text
+   * @returns {string} json, graphml or gexf
+   */
+  detectFormat(text) {
+    const trimmed = text.trim();
+
+    if (trimmed.startsWith('{')) return 'json';
+    if (/<gexf[\s>]/.test(trimmed)) return 'gexf';
+    if (/<graphml[\s>]/.test(trimmed)) return 'graphml';
+
+    throw new Error('Could not detect graph format, expected JSON, GraphML or GEXF');
+  }
+
+  /**
+   * Parses XML text into a document, throwing on syntax errors
+   *
+   * @param {string} text - The XML text
+   * @returns {Document} The parsed document
+   */
+  parseXML(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const error = doc.getElementsByTagName('parsererror')[0];
+
+    if (error) {
+      throw new Error(`Invalid XML: ${error.textContent.trim()}`);
+    }
+
+    return doc;
+  }
+
+  /**
+   * Converts a GraphML document, including yEd graphics and nested graphs
+   *
+   * @param {Document} doc - The GraphML document
+   * @returns {Object} Object with nodes, edges and groups arrays
+   */
+  parseGraphML(doc) {
+    const keys = new Map();
+
+    getDescendants(doc, 'key').forEach(keyEl => {
+      const defaultEl = getChildren(keyEl, 'default')[0];
+      keys.set(keyEl.getAttribute('id'), {
+        name: (keyEl.getAttribute('attr.name') || '').toLowerCase(),
+        domain: keyEl.getAttribute('for') || 'all',
+        defaultValue: defaultEl ? defaultEl.textContent : null,
+      });
+    });
+
+    /**
+     * Reads the fields of a node or edge, letting its own data and
+     * graphics take precedence over key defaults
+     */
+    const readFields = (el, domain) => {
+      const defaults = {};
+      const values = {};
+      let graphics = null;
+
+      keys.forEach(key => {
+        if (key.name && key.defaultValue !== null && (key.domain === domain || key.domain === 'all')) {
+          defaults[key.name] = key.defaultValue;
+        }
+      });
+
+      getChildren(el, 'data').forEach(dataEl => {
+        const key = keys.get(dataEl.getAttribute('key'));
+
+        if (dataEl.children.length > 0) {
+          // yEd stores labels, fills and geometry as nested graphics elements
+          graphics = dataEl;
+        } else if (key && key.name) {
+          values[key.name] = dataEl.textContent.trim();
+        }
+      });
+
+      return {
+        ...this.readGraphMLFields(defaults, null),
+        ...this.readGraphMLFields(values, graphics),
+      };
+    };
+
+    const result = { nodes: [], edges: [], groups: [] };
+    const attributeGroups = new Map();
+
+    /**
+     * Walks a graph element, turning nodes with nested graphs into groups
+     */
+    const walkGraph = (graphEl, parentGroups) => {
+      getChildren(graphEl, 'node').forEach(nodeEl => {
+        const id = nodeEl.getAttribute('id');
+        const fields = readFields(nodeEl, 'node');
+        const nestedGraph = getChildren(nodeEl, 'graph')[0];
+
+        if (nestedGraph) {
+          const group = {
+            id,
+            name: fields.name ?? id,
+            nodeIds: [],
+            parent: parentGroups.length > 0 ? parentGroups[parentGroups.length - 1].id : null,
+            content: fields.content || '',
+          };
+          if (fields.color) group.color = fields.color;
+          result.groups.push(group);
+          walkGraph(nestedGraph, parentGroups.concat(group));
+          return;
+        }
+
+        const node = { id, ...fields };
+        delete node.group;
+        delete node.memberOf;
+        EDGE_STYLE_FIELDS.forEach(name => delete node[name]);
+        result.nodes.push(node);
+        parentGroups.forEach(group => group.nodeIds.push(id));
+        this.addToAttributeGroup(attributeGroups, fields.group, id);
+        if (fields.memberOf) memberships.set(id, fields.memberOf);
+      });
+    };
+
+    const memberships = new Map();
+    const rootGraph = getDescendants(doc, 'graph')[0];
+    if (rootGraph) walkGraph(rootGraph, []);
+
+    // Nested graphs hold a node once, so extra memberships come from its groups list
+    memberships.forEach((groupIds, nodeId) => {
+      groupIds.forEach(groupId => {
+        const group = result.groups.find(g => g.id === groupId);
+        if (group && !group.nodeIds.includes(nodeId)) group.nodeIds.push(nodeId);
+      });
+    });
+
+    getDescendants(doc, 'edge').forEach(edgeEl => {
+      const fields = readFields(edgeEl, 'edge');
+      const edge = {
+        source: edgeEl.getAttribute('source'),
+        target: edgeEl.getAttribute('target'),
+      };
+
+      if (fields.name !== undefined) edge.name = fields.name;
+      if (fields.color) edge.color = fields.color;
+      if (fields.content) edge.content = fields.content;
+      EDGE_STYLE_FIELDS.forEach(name => {
+        if (fields[name] !== undefined) edge[name] = fields[name];
+      });
+      // Edges only override the component default when they say so themselves
+      if (edgeEl.hasAttribute('directed')) edge.directed = edgeEl.getAttribute('directed') === 'true';
+      result.edges.push(edge);
+    });
+
+    result.groups.push(...attributeGroups.values());
+    return result;
+  }
+
+  /**
+   * Maps GraphML data values and yEd graphics onto node and edge fields
+   *
+   * @param {Object} values - Data values keyed by lower-cased attribute name
+   * @param {Element|null} graphics - yEd graphics data element, if any
+   * @returns {Object} Fields (name, color, shape, size, image, model, x, y, z, content, group, and edge width, dashed, opacity, curvature, weight)
+   */
+  readGraphMLFields(values, graphics) {
+    const fields = {};
+    const name = values.label ?? values.name ?? values.title;
+
+    if (name !== undefined) fields.name = name;
+    if (values.description || values.content) fields.content = values.description || values.content;
+    if (values.shape) fields.shape = this.mapShape(values.shape);
+    if (values.wireframe) fields.wireframe = values.wireframe === 'true';
+    if (values.size !== undefined && values.size !== '') fields.size = parseFloat(values.size);
+    if (values.image || values.icon) fields.image = values.image || values.icon;
+    if (values.model) fields.model = values.model;
+
+    if (values.color) {
+      fields.color = values.color;
+    } else if (values.r !== undefined && values.g !== undefined && values.b !== undefined) {
+      fields.color = toHexColor(values.r, values.g, values.b);
+    }
+
+    Object.assign(fields, this.mapPosition(values.x, values.y, values.z));
+    // Positions a layout chose, as exported by GraphExporter, aren't pinned
+    if (values.fixed) fields.fixed = values.fixed === 'true';
+
+    const groupKey = GROUP_ATTRIBUTES.find(attribute => values[attribute] !== undefined);
+    if (groupKey) fields.group = values[groupKey];
+
+    // A comma-separated list of group ids, as written by GraphExporter
+    if (values.groups) fields.memberOf = values.groups.split(',').filter(id => id.length > 0);
+
+    ['width', 'opacity', 'curvature', 'weight'].forEach(name => {
+      if (values[name] !== undefined && values[name] !== '') fields[name] = parseFloat(values[name]);
+    });
+    if (values.dashed) fields.dashed = values.dashed === 'true';
+
+    if (graphics) {
+      const label = getDescendants(graphics, 'NodeLabel')[0] || getDescendants(graphics, 'EdgeLabel')[0];
+      // Nodes are colored by their fill, edges by their line style
+      const colorEl = getDescendants(graphics, 'Fill')[0] || getDescendants(graphics, 'LineStyle')[0];
+      const shape = getDescendants(graphics, 'Shape')[0];
+      const geometry = getDescendants(graphics, 'Geometry')[0];
+
+      if (label && fields.name === undefined) fields.name = label.textContent.trim();
+      if (colorEl && colorEl.getAttribute('color') && !fields.color) {
+        // Drop the alpha channel from #RRGGBBAA colors
+        fields.color = colorEl.getAttribute('color').slice(0, 7);
+      }
+      if (shape && shape.getAttribute('type') && !fields.shape) {
+        fields.shape = this.mapShape(shape.getAttribute('type'));
+      }
+      if (geometry && fields.x === undefined) {
+        // yEd positions are the top-left corner, so move them to the center
+        const width = parseFloat(geometry.getAttribute('width')) || 0;
+        const height = parseFloat(geometry.getAttribute('height')) || 0;
+        Object.assign(fields, this.mapPosition(
+          parseFloat(geometry.getAttribute('x')) + width / 2,
+          parseFloat(geometry.getAttribute('y')) + height / 2
+        ));
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * Converts a GEXF document, including viz attributes and node hierarchies
+   *
+   * @param {Document} doc - The GEXF document
+   * @returns {Object} Object with nodes, edges and groups arrays
+   */
+  parseGEXF(doc) {
+    const attributeTitles = new Map();
+
+    getDescendants(doc, 'attributes').forEach(attributesEl => {
+      const domain = attributesEl.getAttribute('class') || 'node';
+      getChildren(attributesEl, 'attribute').forEach(attributeEl => {
+        attributeTitles.set(
+          `${domain}:${attributeEl.getAttribute('id')}`,
+          (attributeEl.getAttribute('title') || attributeEl.getAttribute('id')).toLowerCase()
+        );
+      });
+    });
+
+    /**
+     * Reads attvalues of a node or edge keyed by lower-cased attribute title
+     */
+    const readAttributes = (el, domain) => {
+      const values = {};
+      const attvaluesEl = getChildren(el, 'attvalues')[0];
+
+      if (attvaluesEl) {
+        getChildren(attvaluesEl, 'attvalue').forEach(attvalueEl => {
+          const id = attvalueEl.getAttribute('for') || attvalueEl.getAttribute('id');
+          const title = attributeTitles.get(`${domain}:${id}`) || id.toLowerCase();
+          values[title] = attvalueEl.getAttribute('value');
+        });
+      }
+
+      return values;
+    };
+
+    const result = { nodes: [], edges: [], groups: [] };
+    const attributeGroups = new Map();
+    const nodeElements = getDescendants(doc, 'node');
+
+    // Nodes that other nodes name as their pid are hierarchy parents
+    const parentIds = new Set(nodeElements
+      .map(nodeEl => nodeEl.getAttribute('pid'))
+      .filter(pid => pid !== null));
+    const groupsById = new Map();
+
+    nodeElements.forEach(nodeEl => {
+      const id = nodeEl.getAttribute('id');
+      const values = readAttributes(nodeEl, 'node');
+      const fields = this.readGEXFFields(nodeEl, values);
+
+      if (getChildren(nodeEl, 'nodes').length > 0 || parentIds.has(id)) {
+        const group = {
+          id,
+          name: fields.name ?? id,
+          nodeIds: [],
+          parent: this.getGEXFParentId(nodeEl),
+          content: fields.content || '',
+        };
+        if (fields.color) group.color = fields.color;
+        groupsById.set(id, group);
+        result.groups.push(group);
+        return;
+      }
+
+      const node = { id, ...fields };
+      delete node.group;
+      result.nodes.push(node);
+      this.addToAttributeGroup(attributeGroups, fields.group, id);
+    });
+
+    // Add each node to every hierarchy parent above it
+    nodeElements.forEach(nodeEl => {
+      const id = nodeEl.getAttribute('id');
+      if (groupsById.has(id)) return;
+
+      let current = nodeEl;
+      const visited = new Set();
+
+      while (current) {
+        const parentId = this.getGEXFParentId(current);
+        if (parentId === null || visited.has(parentId)) break;
+        visited.add(parentId);
+
+        const group = groupsById.get(parentId);
+        if (group) group.nodeIds.push(id);
+        current = nodeElements.find(el => el.getAttribute('id') === parentId);
+      }
+    });
+
+    getDescendants(doc, 'edge').forEach(edgeEl => {
+      const values = readAttributes(edgeEl, 'edge');
+      const fields = this.readGEXFFields(edgeEl, values);
+      const edge = {
+        source: edgeEl.getAttribute('source'),
+        target: edgeEl.getAttribute('target'),
+      };
+
+      if (fields.name !== undefined) edge.name = fields.name;
+      if (fields.color) edge.color = fields.color;
+      if (fields.content) edge.content = fields.content;
+
+      const thickness = getChildren(edgeEl, 'thickness')[0];
+      const shape = getChildren(edgeEl, 'shape')[0];
+      if (thickness) edge.width = parseFloat(thickness.getAttribute('value'));
+      if (shape) edge.dashed = shape.getAttribute('value') === 'dashed';
+      if (edgeEl.hasAttribute('weight')) edge.weight = parseFloat(edgeEl.getAttribute('weight'));
+      if (edgeEl.hasAttribute('type')) edge.directed = edgeEl.getAttribute('type') === 'directed';
+      result.edges.push(edge);
+    });
+
+    result.groups.push(...attributeGroups.values());
+    return result;
+  }
+
+  /**
+   * Finds the hierarchy parent of a GEXF node from its pid or its nesting
+   *
+   * @param {Element} nodeEl - The GEXF node element
+   * @returns {string|null} The parent node id, or null at the top level
+   */
+  getGEXFParentId(nodeEl) {
+    if (nodeEl.hasAttribute('pid')) return nodeEl.getAttribute('pid');
+
+    const nodesEl = nodeEl.parentElement;
+    const parentNode = nodesEl ? nodesEl.parentElement : null;
+
+    return parentNode && parentNode.localName === 'node' ? parentNode.getAttribute('id') : null;
+  }
+
+  /**
+   * Maps GEXF labels, attvalues and viz elements onto node fields
+   *
+   * @param {Element} el - The GEXF node or edge element
+   * @param {Object} values - Attribute values keyed by lower-cased title
+   * @returns {Object} Node fields (name, color, shape, image, x, y, z, content, group)
+   */
+  readGEXFFields(el, values) {
+    const fields = {};
+    const name = el.getAttribute('label') ?? values.label ?? values.name;
+
+    if (name !== null && name !== undefined) fields.name = name;
+    if (values.description || values.content) fields.content = values.description || values.content;
+
+    const color = getChildren(el, 'color')[0];
+    const position = getChildren(el, 'position')[0];
+    const shape = getChildren(el, 'shape')[0];
+
+    if (color) {
+      fields.color = color.getAttribute('hex') ||
+        toHexColor(color.getAttribute('r'), color.getAttribute('g'), color.getAttribute('b'));
+    } else if (values.color) {
+      fields.color = values.color;
+    }
+
+    if (shape && shape.getAttribute('value') === 'image' && shape.getAttribute('uri')) {
+      // Gephi draws image shapes from the uri attribute
+      fields.image = shape.getAttribute('uri');
+    } else if (shape && shape.getAttribute('value')) {
+      fields.shape = this.mapShape(shape.getAttribute('value'));
+    } else if (values.shape) {
+      fields.shape = this.mapShape(values.shape);
+    }
+
+    if (position) {
+      Object.assign(fields, this.mapPosition(
+        position.getAttribute('x'),
+        position.getAttribute('y'),
+        position.getAttribute('z')
+      ));
+    }
+
+    const groupKey = GROUP_ATTRIBUTES.find(attribute => values[attribute] !== undefined);
+    if (groupKey) fields.group = values[groupKey];
+
+    return fields;
+  }
+
+  /**
+   * Adds a node to the group named by its group attribute value
+   *
+   * @param {Map} attributeGroups - Groups keyed by attribute value
+   * @param {string|undefined} value - The node's group attribute value
+   * @param {string} nodeId - The node id
+   * @returns {void}
+   */
+  addToAttributeGroup(attributeGroups, value, nodeId) {
+    if (value === undefined || value === null || value === '') return;
+
+    if (!attributeGroups.has(value)) {
+      attributeGroups.set(value, { id: `group-${value}`, name: value, nodeIds: [] });
+    }
+    attributeGroups.get(value).nodeIds.push(nodeId);
+  }
+
+  /**
+   * Maps a Gephi or yEd shape name to a GraphBuilder shape
+   *
+   * @param {string} shape - The source shape name
+   * @returns {string} The GraphBuilder shape name
+   */
+  mapShape(shape) {
+    return SHAPE_NAMES[shape.toLowerCase()] || 'pyramid';
+  }
+
+  /**
+   * Maps 2D document coordinates onto the x-z plane, with z as height
+   *
+   * @param {string|number} x - Document x coordinate
+   * @param {string|number} y - Document y coordinate
+   * @param {string|number} z - Document z coordinate
+   * @returns {Object} Object with x, y, z, or an empty object if there is no position
+   */
+  mapPosition(x, y, z) {
+    const px = parseFloat(x);
+    const py = parseFloat(y);
+
+    if (Number.isNaN(px) || Number.isNaN(py)) return {};
+
+    return { x: px, y: parseFloat(z) || 0, z: py };
+  }
+}
+
+/**
+ * Returns the direct children of an element with a given local name
+ *
+ * @param {Element} el - The parent element
+ * @param {string} localName - Local name without namespace prefix
+ * @returns {Array<Element>} Matching children
+ */
+function getChildren(el, localName) {
+  return Array.from(el.children).filter(child => child.localName === localName);
+}
+
+/**
+ * Returns all descendants of a node with a given local name in any namespace
+ *
+ * @param {Document|Element} el - The root to search
+ * @param {string} localName - Local name without namespace prefix
+ * @returns {Array<Element>} Matching descendants in document order
+ */
+function getDescendants(el, localName) {
+  return Array.from(el.getElementsByTagNameNS('*', localName));
+}
+
+/**
+ * Formats red, green and blue components as a hex color
+ *
+ * @param {string|number} r - Red component (0-255)
+ * @param {string|number} g - Green component (0-255)
+ * @param {string|number} b - Blue component (0-255)
+ * @returns {string} Color such as #ff8800
+ */
+function toHexColor(r, g, b) {
+  return '#' + [r, g, b]
+    .map(value => Math.max(0, Math.min(255, parseInt(value, 10) || 0)).toString(16).padStart(2, '0'))
+    .join('');
+}
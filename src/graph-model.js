@@ -0,0 +1,468 @@
+/**
+ * GraphModel
+ *
+ * Holds the drawn nodes and links together with a lookup of nodes by id, the
+ * list of edges at every node, the groups every node belongs to and the
+ * groups nested in each group, so that neighbors, degrees and memberships
+ * can be read without scanning the whole graph. GraphBuilder keeps it up to
+ * date and the other modules read from it. Exposed on the component as
+ * viz.graph.
+ *
+ * @class GraphModel
+ */
+export default class GraphModel {
+  /**
+   * Creates a new, empty GraphModel instance
+   */
+  constructor() {
+    this.nodes = [];
+    this.links = [];
+    this.groups = [];
+    this.nodesById = new Map();
+    this.adjacency = new Map();
+    this.memberships = new Map();
+    this.parents = new Map();
+    this.children = new Map();
+    this.members = new Map();
+    // Counts changes to the nodes and links, so results computed from them can be cached
+    this.version = 0;
+  }
+
+  /**
+   * Replaces the graph and rebuilds the lookups
+   *
+   * @param {Array} nodes - Array of node objects
+   * @param {Array} links - Array of link objects whose nodes both exist
+   * @returns {void}
+   */
+  setGraph(nodes, links) {
+    this.nodes = nodes;
+    this.links = links;
+    this.nodesById = new Map();
+    this.adjacency = new Map();
+    this.version++;
+
+    // Keep the first node when ids repeat
+    nodes.forEach(node => {
+      if (!this.nodesById.has(node.id)) this.nodesById.set(node.id, node);
+    });
+    links.forEach(link => this.connect(link));
+  }
+
+  /**
+   * Removes every node and link
+   *
+   * @returns {void}
+   */
+  clear() {
+    this.setGraph([], []);
+    this.setGroups([]);
+  }
+
+  /**
+   * Replaces the groups and rebuilds the lookups of groups by member and
+   * of nested groups. A group whose parent is another group's id is nested
+   * in it, and the members of a nested group are members of every group
+   * around it. Parents that don't exist or would nest a group inside itself
+   * are ignored
+   *
+   * @param {Array} groups - Array of group objects with nodeIds and an optional parent id
+   * @returns {void}
+   */
+  setGroups(groups) {
+    this.groups = groups;
+    this.memberships = new Map();
+    this.parents = new Map();
+    this.children = new Map(groups.map(group => [group, []]));
+    this.members = new Map();
+
+    // Keep the first group when ids repeat
+    const groupsById = new Map();
+    groups.forEach(group => {
+      if (group.id !== null && group.id !== undefined && !groupsById.has(group.id)) {
+        groupsById.set(group.id, group);
+      }
+    });
+
+    groups.forEach(group => {
+      const parent = groupsById.get(group.parent);
+      if (!parent || parent === group || this.ancestorsOf(parent).includes(group)) return;
+      this.parents.set(group, parent);
+      this.children.get(parent).push(group);
+    });
+
+    /**
+     * Collects the members of a group and of the groups nested in it
+     */
+    const collect = (group) => {
+      if (this.members.has(group)) return this.members.get(group);
+      const ids = new Set(group.nodeIds);
+      this.children.get(group).forEach(child => collect(child).forEach(id => ids.add(id)));
+      this.members.set(group, ids);
+      return ids;
+    };
+    groups.forEach(collect);
+
+    // Outer groups come first, so that a node's first group is its outermost
+    const depths = new Map(groups.map(group => [group, this.ancestorsOf(group).length]));
+    [...groups].sort((a, b) => depths.get(a) - depths.get(b)).forEach(group => {
+      this.members.get(group).forEach(id => {
+        if (!this.memberships.has(id)) this.memberships.set(id, []);
+        this.memberships.get(id).push(group);
+      });
+    });
+  }
+
+  /**
+   * Adds a node
+   *
+   * @param {Object} node - The node object
+   * @returns {void}
+   */
+  addNode(node) {
+    this.version++;
+    this.nodes.push(node);
+    if (!this.nodesById.has(node.id)) this.nodesById.set(node.id, node);
+  }
+
+  /**
+   * Removes a node. Its links stay until they are removed with removeLink()
+   *
+   * @param {Object} node - The node object
+   * @returns {void}
+   */
+  removeNode(node) {
+    const index = this.nodes.indexOf(node);
+    if (index < 0) return;
+
+    this.nodes.splice(index, 1);
+    this.version++;
+
+    if (this.nodesById.get(node.id) === node) {
+      // Fall back to another node with the same id, if there is one
+      const duplicate = this.nodes.find(n => n.id === node.id);
+      if (duplicate) {
+        this.nodesById.set(node.id, duplicate);
+      } else {
+        this.nodesById.delete(node.id);
+      }
+    }
+  }
+
+  /**
+   * Adds a link between two nodes
+   *
+   * @param {Object} link - The link object with source and target IDs
+   * @returns {void}
+   */
+  addLink(link) {
+    this.version++;
+    this.links.push(link);
+    this.connect(link);
+  }
+
+  /**
+   * Removes a link
+   *
+   * @param {Object} link - The link object
+   * @returns {void}
+   */
+  removeLink(link) {
+    const index = this.links.indexOf(link);
+    if (index < 0) return;
+
+    this.links.splice(index, 1);
+    this.version++;
+    [link.source, link.target].forEach(id => {
+      const edges = this.adjacency.get(id);
+      if (!edges) return;
+      edges.delete(link);
+      if (edges.size === 0) this.adjacency.delete(id);
+    });
+  }
+
+  /**
+   * Adds a link to the edge lists of both of its nodes
+   *
+   * @param {Object} link - The link object
+   * @returns {void}
+   */
+  connect(link) {
+    [link.source, link.target].forEach(id => {
+      if (!this.adjacency.has(id)) this.adjacency.set(id, new Set());
+      this.adjacency.get(id).add(link);
+    });
+  }
+
+  /**
+   * Looks up a node by its ID
+   *
+   * @param {string} id - The node ID
+   * @returns {Object|null} The node, or null if there is none
+   */
+  getNode(id) {
+    return this.nodesById.get(id) ?? null;
+  }
+
+  /**
+   * Checks whether a node exists
+   *
+   * @param {string} id - The node ID
+   * @returns {boolean} True if the graph has a node with this ID
+   */
+  hasNode(id) {
+    return this.nodesById.has(id);
+  }
+
+  /**
+   * Checks whether a link is in the graph
+   *
+   * @param {Object} link - The link object
+   * @returns {boolean} True if the link was added and not removed since
+   */
+  hasLink(link) {
+    return this.adjacency.get(link.source)?.has(link) ?? false;
+  }
+
+  /**
+   * Lists the edges that start or end at a node
+   *
+   * @param {string} id - The node ID
+   * @returns {Array} The link objects, in the order they were added
+   */
+  edgesOf(id) {
+    return Array.from(this.adjacency.get(id) || []);
+  }
+
+  /**
+   * Lists the nodes connected to a node by an edge in either direction
+   *
+   * @param {string} id - The node ID
+   * @returns {Array<string>} IDs of the neighboring nodes, each listed once
+   */
+  neighbors(id) {
+    const ids = new Set();
+    (this.adjacency.get(id) || []).forEach(link => {
+      ids.add(link.source === id ? link.target : link.source);
+    });
+    return Array.from(ids);
+  }
+
+  /**
+   * Lists the groups a node belongs to, including the groups around the
+   * groups it is listed in
+   *
+   * @param {string} id - The node ID
+   * @returns {Array} The group objects, outer groups before the groups nested in them and otherwise in the order they were defined
+   */
+  groupsOf(id) {
+    return Array.from(this.memberships.get(id) || []);
+  }
+
+  /**
+   * Finds the group a node is placed in: the innermost of its groups, or
+   * the first of those when several are equally deep
+   *
+   * @param {string} id - The node ID
+   * @returns {Object|null} The group object, or null if the node is in no group
+   */
+  homeGroupOf(id) {
+    const groups = this.groupsOf(id);
+    if (groups.length === 0) return null;
+
+    const depth = this.ancestorsOf(groups[groups.length - 1]).length;
+    return groups.find(group => this.ancestorsOf(group).length === depth);
+  }
+
+  /**
+   * Lists the members of a group, including the members of the groups
+   * nested in it
+   *
+   * @param {Object} group - The group object
+   * @returns {Array<string>} IDs of the member nodes, each listed once
+   */
+  membersOf(group) {
+    return Array.from(this.members.get(group) ?? new Set(group.nodeIds));
+  }
+
+  /**
+   * Finds the group a group is nested in
+   *
+   * @param {Object} group - The group object
+   * @returns {Object|null} The parent group object, or null for a top-level group
+   */
+  parentOf(group) {
+    return this.parents.get(group) ?? null;
+  }
+
+  /**
+   * Lists the groups nested directly in a group
+   *
+   * @param {Object} group - The group object
+   * @returns {Array} The child group objects, in the order they were defined
+   */
+  childrenOf(group) {
+    return Array.from(this.children.get(group) || []);
+  }
+
+  /**
+   * Lists the groups a group is nested in
+   *
+   * @param {Object} group - The group object
+   * @returns {Array} The group objects, from its parent outwards
+   */
+  ancestorsOf(group) {
+    const ancestors = [];
+    for (let parent = this.parents.get(group); parent; parent = this.parents.get(parent)) {
+      ancestors.push(parent);
+    }
+    return ancestors;
+  }
+
+  /**
+   * Counts the edges at a node
+   *
+   * @param {string} id - The node ID
+   * @returns {number} Number of edges that start or end at the node
+   */
+  degree(id) {
+    return this.adjacency.get(id)?.size ?? 0;
+  }
+
+  /**
+   * Finds the shortest path between two nodes. Nodes hidden by a filter are
+   * not passed through
+   *
+   * @param {string} sourceId - ID of the node the path starts at
+   * @param {string} targetId - ID of the node the path ends at
+   * @param {Object} options - Path options
+   * @param {boolean} options.weighted - Add up edge weights instead of counting edges (default false)
+   * @param {boolean} options.directed - Only follow edges from their source to their target (default false)
+   * @returns {Object|null} The path's node ids, its links and its total cost, or null if there is none
+   */
+  shortestPath(sourceId, targetId, { weighted = false, directed = false } = {}) {
+    const source = this.getNode(sourceId);
+    const target = this.getNode(targetId);
+    if (!source || !target || source.hidden || target.hidden) return null;
+
+    const costs = new Map([[sourceId, 0]]);
+    const previous = new Map();
+    const queue = new PriorityQueue();
+    queue.push(sourceId, 0);
+
+    // Dijkstra's algorithm; without weights every edge costs 1
+    while (queue.size > 0) {
+      const { id, priority } = queue.pop();
+      if (priority > costs.get(id)) continue;
+      if (id === targetId) break;
+
+      (this.adjacency.get(id) || []).forEach(link => {
+        if (directed && link.source !== id) return;
+
+        const next = link.source === id ? link.target : link.source;
+        if (this.getNode(next)?.hidden) return;
+
+        const cost = priority + (weighted ? edgeWeight(link) : 1);
+        if (cost < (costs.get(next) ?? Infinity)) {
+          costs.set(next, cost);
+          previous.set(next, link);
+          queue.push(next, cost);
+        }
+      });
+    }
+
+    if (!costs.has(targetId)) return null;
+
+    const nodes = [targetId];
+    const links = [];
+    for (let id = targetId; id !== sourceId;) {
+      const link = previous.get(id);
+      id = link.source === id ? link.target : link.source;
+      links.unshift(link);
+      nodes.unshift(id);
+    }
+
+    return { nodes, links, cost: costs.get(targetId) };
+  }
+}
+
+/**
+ * Reads the weight of an edge for path finding
+ *
+ * @param {Object} link - The link object
+ * @returns {number} The weight, 1 if it is missing or negative
+ */
+function edgeWeight(link) {
+  return Number.isFinite(link.weight) && link.weight >= 0 ? link.weight : 1;
+}
+
+/**
+ * Binary min-heap of node ids ordered by priority
+ *
+ * @class PriorityQueue
+ */
+class PriorityQueue {
+  /**
+   * Creates a new, empty PriorityQueue instance
+   */
+  constructor() {
+    this.items = [];
+  }
+
+  /**
+   * Number of entries in the queue
+   *
+   * @returns {number} The number of entries
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Adds an entry
+   *
+   * @param {string} id - The node ID
+   * @param {number} priority - Lower priorities come out first
+   * @returns {void}
+   */
+  push(id, priority) {
+    const items = this.items;
+    items.push({ id, priority });
+
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (items[parent].priority <= items[index].priority) break;
+      [items[parent], items[index]] = [items[index], items[parent]];
+      index = parent;
+    }
+  }
+
+  /**
+   * Removes the entry with the lowest priority
+   *
+   * @returns {Object} The entry's id and priority
+   */
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === index) break;
+        [items[smallest], items[index]] = [items[index], items[smallest]];
+        index = smallest;
+      }
+    }
+
+    return top;
+  }
+}
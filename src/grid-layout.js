@@ -0,0 +1,237 @@
+/**
+ * Empty grid cells between top-level groups
+ */
+const GROUP_GAP = 3;
+
+/**
+ * Empty grid cells between the groups nested in a group and its own nodes
+ */
+const NESTED_GAP = 1;
+
+/**
+ * GridLayout
+ *
+ * Places nodes on grid cells in the x-z plane, every group in a rectangular
+ * block of its own. A group's block holds its nodes and the blocks of the
+ * groups nested in it, so nested groups sit inside their parents. A node in
+ * several groups is placed in the innermost of them, on the side of the
+ * block facing the next group, and groups that share nodes are placed next
+ * to each other so that the outlines of both can reach the shared nodes.
+ * Blocks are packed in rows around the center, however many groups there
+ * are.
+ *
+ * @class GridLayout
+ */
+export default class GridLayout {
+  /**
+   * Creates a new GridLayout instance
+   *
+   * @param {GraphModel} graph - Graph whose nodes are positioned
+   * @param {Object} options - Optional layout parameters
+   * @param {number} options.nodeSpacing - Distance between neighboring grid cells (default 80)
+   */
+  constructor(graph, options = {}) {
+    this.graph = graph;
+    this.nodeSpacing = options.nodeSpacing ?? 80;
+    this.homes = new Map();
+  }
+
+  /**
+   * Positions every node. Nodes with explicit coordinates keep them, and the
+   * blocks of the other nodes move to free cells next to them
+   *
+   * @returns {void}
+   */
+  apply() {
+    const nodes = this.graph.nodes;
+    if (nodes.length === 0) return;
+
+    const fixedNodes = nodes.filter(node => node.fixed);
+    fixedNodes.forEach(node => {
+      node.gridX = Math.round(node.x / this.nodeSpacing);
+      node.gridY = Math.round(node.z / this.nodeSpacing);
+    });
+
+    // The other nodes by the group they are placed in, null for no group
+    this.homes = new Map();
+    nodes.forEach(node => {
+      if (node.fixed) return;
+      const home = this.graph.homeGroupOf(node.id);
+      if (!this.homes.has(home)) this.homes.set(home, []);
+      this.homes.get(home).push(node);
+    });
+
+    const blocks = this.orderByShared(this.graph.groups.filter(group => !this.graph.parentOf(group)))
+      .map(group => this.buildBlock(group))
+      .filter(block => block !== null);
+    if (this.homes.has(null)) blocks.push(nodeBlock(this.homes.get(null)));
+
+    const { positions, width, height } = arrange(blocks, GROUP_GAP);
+    const left = -Math.floor(width / 2);
+    const top = -Math.floor(height / 2);
+    const taken = [];
+
+    /**
+     * Checks that a block at a cell covers no fixed node and keeps its
+     * distance from the blocks placed so far
+     */
+    const fits = (block, x, y) => {
+      const right = x + block.width - 1;
+      const bottom = y + block.height - 1;
+      return !fixedNodes.some(node => node.gridX >= x && node.gridX <= right && node.gridY >= y && node.gridY <= bottom) &&
+        taken.every(other => x > other.right + GROUP_GAP || right < other.x - GROUP_GAP ||
+          y > other.bottom + GROUP_GAP || bottom < other.y - GROUP_GAP);
+    };
+
+    blocks.forEach((block, index) => {
+      // Start next to a member with explicit coordinates, if there is one
+      const fixedMember = block.group && fixedNodes.find(node => this.graph.groupsOf(node.id).includes(block.group));
+      const cells = fixedMember
+        ? spiral(fixedMember.gridX + 1, fixedMember.gridY)
+        : spiral(left + positions[index].x, top + positions[index].y);
+
+      let cell = cells.next().value;
+      while (!fits(block, cell.x, cell.y)) cell = cells.next().value;
+
+      taken.push({ x: cell.x, y: cell.y, right: cell.x + block.width - 1, bottom: cell.y + block.height - 1 });
+      block.cells.forEach(({ node, x, y }) => this.place(node, cell.x + x, cell.y + y));
+    });
+  }
+
+  /**
+   * Lays out the block of a group: its own nodes first, then the blocks of
+   * the groups nested in it
+   *
+   * @param {Object} group - The group object
+   * @returns {Object|null} The block's width and height in cells and the cells of its nodes, or null if it has no nodes to place
+   */
+  buildBlock(group) {
+    const blocks = this.orderByShared(this.graph.childrenOf(group))
+      .map(child => this.buildBlock(child))
+      .filter(block => block !== null);
+
+    if (this.homes.has(group)) {
+      const depth = this.graph.ancestorsOf(group).length;
+      // Nodes that other groups share go last, into the column next to the following group
+      const shared = node => (this.graph.groupsOf(node.id).length > depth + 1 ? 1 : 0);
+      blocks.unshift(nodeBlock([...this.homes.get(group)].sort((a, b) => shared(a) - shared(b))));
+    }
+
+    if (blocks.length === 0) return null;
+    const { positions, width, height } = arrange(blocks, NESTED_GAP);
+    return {
+      group,
+      width,
+      height,
+      cells: blocks.flatMap((block, index) => block.cells.map(({ node, x, y }) => ({
+        node,
+        x: positions[index].x + x,
+        y: positions[index].y + y
+      })))
+    };
+  }
+
+  /**
+   * Orders groups so that each is followed by a group it shares nodes with,
+   * where there is one, and otherwise by the order they were defined
+   *
+   * @param {Array} groups - Array of group objects
+   * @returns {Array} The group objects in placing order
+   */
+  orderByShared(groups) {
+    const pending = [...groups];
+    const ordered = [];
+
+    while (pending.length > 0) {
+      const previous = ordered.length > 0 ? new Set(this.graph.membersOf(ordered[ordered.length - 1])) : new Set();
+      const index = pending.findIndex(group => this.graph.membersOf(group).some(id => previous.has(id)));
+      ordered.push(...pending.splice(Math.max(index, 0), 1));
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Moves a node to a grid cell
+   *
+   * @param {Object} node - The node object
+   * @param {number} gridX - Grid column
+   * @param {number} gridY - Grid row
+   * @returns {void}
+   */
+  place(node, gridX, gridY) {
+    node.x = gridX * this.nodeSpacing;
+    node.y = 0;
+    node.z = gridY * this.nodeSpacing;
+    node.gridX = gridX;
+    node.gridY = gridY;
+  }
+}
+
+/**
+ * Lays nodes out in a square block, filled column by column
+ *
+ * @param {Array} nodes - Array of node objects
+ * @returns {Object} The block's width and height in cells and the cells of its nodes
+ */
+function nodeBlock(nodes) {
+  const rows = Math.ceil(Math.sqrt(nodes.length));
+  return {
+    group: null,
+    width: Math.ceil(nodes.length / rows),
+    height: rows,
+    cells: nodes.map((node, index) => ({ node, x: Math.floor(index / rows), y: index % rows }))
+  };
+}
+
+/**
+ * Packs blocks in rows, left to right and top to bottom, into a roughly
+ * square area
+ *
+ * @param {Array<Object>} blocks - Blocks with a width and height in cells
+ * @param {number} gap - Empty cells between neighboring blocks
+ * @returns {Object} The top-left cell of each block, and the width and height of the area
+ */
+function arrange(blocks, gap) {
+  const area = blocks.reduce((sum, block) => sum + (block.width + gap) * (block.height + gap), 0);
+  const rowWidth = Math.max(Math.ceil(Math.sqrt(area)) - gap, ...blocks.map(block => block.width));
+  const positions = [];
+  let x = 0;
+  let y = 0;
+  let rowHeight = 0;
+  let width = 0;
+
+  blocks.forEach(block => {
+    if (x > 0 && x + block.width > rowWidth) {
+      x = 0;
+      y += rowHeight + gap;
+      rowHeight = 0;
+    }
+    positions.push({ x, y });
+    width = Math.max(width, x + block.width);
+    rowHeight = Math.max(rowHeight, block.height);
+    x += block.width + gap;
+  });
+
+  return { positions, width, height: y + rowHeight };
+}
+
+/**
+ * Walks grid cells in rings of growing radius around a start cell
+ *
+ * @param {number} startX - Grid column to start at
+ * @param {number} startY - Grid row to start at
+ * @yields {Object} The next cell's x and y
+ */
+function* spiral(startX, startY) {
+  yield { x: startX, y: startY };
+  for (let radius = 1; ; radius++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      for (let dy = -radius; dy <= radius; dy++) {
+        if (Math.abs(dx) === radius || Math.abs(dy) === radius) {
+          yield { x: startX + dx, y: startY + dy };
+        }
+      }
+    }
+  }
+}
@@ -1,9 +1,23 @@
 import * as THREE from 'three';
 
+/**
+ * Faces of a voxel as the axis they face along, the direction they face
+ * and the two axes they span
+ */
+const VOXEL_FACES = [
+  [0, -1, 1, 2],
+  [0, 1, 1, 2],
+  [1, -1, 0, 2],
+  [1, 1, 0, 2],
+  [2, -1, 0, 1],
+  [2, 1, 0, 1]
+];
+
 /**
  * GroupWireframeManager
  * 
- * Manages wireframe cubes that surround groups of nodes
+ * Manages wireframe cubes that surround groups of nodes. The wireframes of
+ * nested groups are drawn inside the wireframes of their parents
  * 
  * @class GroupWireframeManager
  */
@@ -27,47 +41,76 @@ export default class GroupWireframeManager {
   createWireframes(groups) {
     this.removeAll();
 
-    groups.forEach(group => {
-      const geometry = new THREE.BoxGeometry(1, 1, 1);
-      const material = new THREE.LineBasicMaterial({ 
-        color: group.color || 0x888888, 
-        linewidth: 1,
-        transparent: true,
-        opacity: 0.5
-      });
-      const edges = new THREE.EdgesGeometry(geometry);
-      const wireframe = new THREE.LineSegments(edges, material);
-      
-      material.linecap = 'round';
-      material.linejoin = 'round';
-      
-      this.scene.add(wireframe);
-      
-      this.groupWireframes.push({
-        mesh: wireframe,
-        group: group
-      });
+    groups.forEach(group => this.createWireframe(group));
+  }
+
+  /**
+   * Creates the wireframe for a single group
+   * 
+   * @param {Object} group - The group object
+   * @returns {void}
+   */
+  createWireframe(group) {
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    const material = new THREE.LineBasicMaterial({ 
+      color: group.color || 0x888888, 
+      linewidth: 1,
+      transparent: true,
+      opacity: 0.5
+    });
+    const edges = new THREE.EdgesGeometry(geometry);
+    geometry.dispose();
+    const wireframe = new THREE.LineSegments(edges, material);
+    
+    material.linecap = 'round';
+    material.linejoin = 'round';
+    
+    this.scene.add(wireframe);
+    
+    this.groupWireframes.push({
+      mesh: wireframe,
+      group: group
     });
   }
 
   /**
    * Updates wireframe positions and sizes based on node positions
-   * Creates a single polygon outline around all nodes in the group
+   * Creates a single polygon outline around all nodes in the group, and
+   * around the outlines of the groups nested in it
    * 
-   * @param {Array} nodes - Array of node objects with position data
+   * @param {GraphModel} graph - Graph whose nodes have position data
    * @returns {void}
    */
-  update(nodes) {
-    this.groupWireframes.forEach(({ mesh, group }) => {
-      const groupNodes = nodes.filter(n => group.nodeIds.includes(n.id));
+  update(graph) {
+    const levels = new Map();
+    
+    /**
+     * Counts the levels of groups nested in a group, 0 for none
+     * 
+     * @param {Object} group - The group object
+     * @returns {number} Nesting level
+     */
+    const levelOf = (group) => {
+      if (!levels.has(group)) {
+        levels.set(group, Math.max(-1, ...graph.childrenOf(group).map(levelOf)) + 1);
+      }
+      return levels.get(group);
+    };
+    
+    // Nested groups go first, so that their parents can take in their space
+    const voxelMaps = new Map();
+    const wireframes = [...this.groupWireframes].sort((a, b) => levelOf(a.group) - levelOf(b.group));
+    
+    wireframes.forEach(({ mesh, group }) => {
+      // Members hidden by a filter don't count towards the outline
+      const groupNodes = graph.membersOf(group)
+        .map(id => graph.getNode(id))
+        .filter(node => node !== null && !node.hidden);
       
+      // Hide groups whose members have all been removed or filtered out
+      mesh.visible = groupNodes.length > 0;
       if (groupNodes.length === 0) return;
       
-      // Remove the old mesh
-      this.scene.remove(mesh);
-      mesh.geometry.dispose();
-      mesh.material.dispose();
-      
       // Create axis-aligned boxes around each node
       const padding = 20;
       const boxes = [];
@@ -228,6 +271,12 @@ export default class GroupWireframeManager {
         }
       }
       
+      // Take in the space of the groups nested in this one
+      graph.childrenOf(group).forEach(child => {
+        (voxelMaps.get(child) || new Map()).forEach((voxel, key) => voxelMap.set(key, voxel));
+      });
+      voxelMaps.set(group, voxelMap);
+      
       // Store all exterior edges
       const edgeSet = new Set();
       
@@ -254,85 +303,62 @@ export default class GroupWireframeManager {
         edgeSet.add(key);
       };
       
+      // Groups are drawn further out than the groups nested in them, by less
+      // than half a voxel so that the outlines of neighbors never meet
+      const margin = voxelSize / 2 * (1 - Math.pow(0.5, levelOf(group)));
+      
       voxelMap.forEach((voxel, key) => {
-        const [vx, vy, vz] = key.split(',').map(Number);
-        const { x, y, z, size } = voxel;
-        const half = size / 2;
+        const cell = key.split(',').map(Number);
+        const center = [voxel.x, voxel.y, voxel.z];
+        const half = voxel.size / 2;
+        
+        /**
+         * Checks if the voxel a step along an axis, and optionally a
+         * second step along another, from this one is occupied
+         * 
+         * @returns {boolean} True if occupied
+         */
+        const isNeighborOccupied = (axis, sign, otherAxis = axis, otherSign = 0) => {
+          const neighbor = [cell[0], cell[1], cell[2]];
+          neighbor[axis] += sign;
+          neighbor[otherAxis] += otherSign;
+          return isVoxelOccupied(neighbor[0], neighbor[1], neighbor[2]);
+        };
         
         // Check each of the 6 faces
         // If the adjacent voxel is not occupied, add the face edges
-        
-        // Front face (-Z direction)
-        if (!isVoxelOccupied(vx, vy, vz - 1)) {
-          const minX = x - half, maxX = x + half;
-          const minY = y - half, maxY = y + half;
-          const z0 = z - half;
-          
-          addEdge(minX, minY, z0, maxX, minY, z0);
-          addEdge(maxX, minY, z0, maxX, maxY, z0);
-          addEdge(maxX, maxY, z0, minX, maxY, z0);
-          addEdge(minX, maxY, z0, minX, minY, z0);
-        }
-        
-        // Back face (+Z direction)
-        if (!isVoxelOccupied(vx, vy, vz + 1)) {
-          const minX = x - half, maxX = x + half;
-          const minY = y - half, maxY = y + half;
-          const z0 = z + half;
+        VOXEL_FACES.forEach(([axis, sign, u, v]) => {
+          if (isNeighborOccupied(axis, sign)) return;
           
-          addEdge(minX, minY, z0, maxX, minY, z0);
-          addEdge(maxX, minY, z0, maxX, maxY, z0);
-          addEdge(maxX, maxY, z0, minX, maxY, z0);
-          addEdge(minX, maxY, z0, minX, minY, z0);
-        }
-        
-        // Left face (-X direction)
-        if (!isVoxelOccupied(vx - 1, vy, vz)) {
-          const x0 = x - half;
-          const minY = y - half, maxY = y + half;
-          const minZ = z - half, maxZ = z + half;
+          /**
+           * Finds where the face ends along one of its sides once it is moved
+           * out by the margin: further out at outer corners and further in
+           * at inner ones, to meet the faces around it
+           * 
+           * @returns {number} Coordinate of the end
+           */
+          const end = (side, direction) => {
+            let extent = half;
+            if (margin > 0 && !isNeighborOccupied(side, direction)) extent += margin;
+            else if (margin > 0 && isNeighborOccupied(side, direction, axis, sign)) extent -= margin;
+            return center[side] + direction * extent;
+          };
           
-          addEdge(x0, minY, minZ, x0, maxY, minZ);
-          addEdge(x0, maxY, minZ, x0, maxY, maxZ);
-          addEdge(x0, maxY, maxZ, x0, minY, maxZ);
-          addEdge(x0, minY, maxZ, x0, minY, minZ);
-        }
-        
-        // Right face (+X direction)
-        if (!isVoxelOccupied(vx + 1, vy, vz)) {
-          const x0 = x + half;
-          const minY = y - half, maxY = y + half;
-          const minZ = z - half, maxZ = z + half;
-          
-          addEdge(x0, minY, minZ, x0, maxY, minZ);
-          addEdge(x0, maxY, minZ, x0, maxY, maxZ);
-          addEdge(x0, maxY, maxZ, x0, minY, maxZ);
-          addEdge(x0, minY, maxZ, x0, minY, minZ);
-        }
-        
-        // Bottom face (-Y direction)
-        if (!isVoxelOccupied(vx, vy - 1, vz)) {
-          const minX = x - half, maxX = x + half;
-          const y0 = y - half;
-          const minZ = z - half, maxZ = z + half;
-          
-          addEdge(minX, y0, minZ, maxX, y0, minZ);
-          addEdge(maxX, y0, minZ, maxX, y0, maxZ);
-          addEdge(maxX, y0, maxZ, minX, y0, maxZ);
-          addEdge(minX, y0, maxZ, minX, y0, minZ);
-        }
-        
-        // Top face (+Y direction)
-        if (!isVoxelOccupied(vx, vy + 1, vz)) {
-          const minX = x - half, maxX = x + half;
-          const y0 = y + half;
-          const minZ = z - half, maxZ = z + half;
+          const minU = end(u, -1), maxU = end(u, 1);
+          const minV = end(v, -1), maxV = end(v, 1);
+          const corners = [[minU, minV], [maxU, minV], [maxU, maxV], [minU, maxV]].map(([a, b]) => {
+            const point = [...center];
+            point[axis] += sign * (half + margin);
+            point[u] = a;
+            point[v] = b;
+            return point;
+          });
           
-          addEdge(minX, y0, minZ, maxX, y0, minZ);
-          addEdge(maxX, y0, minZ, maxX, y0, maxZ);
-          addEdge(maxX, y0, maxZ, minX, y0, maxZ);
-          addEdge(minX, y0, maxZ, minX, y0, minZ);
-        }
+          corners.forEach((point, index) => {
+            const next = corners[(index + 1) % 4];
+            addEdge(point[0], point[1], point[2], next[0], next[1], next[2]);
+          });
+        });
       });
       
       // Convert all edges to array (no filtering)
@@ -447,20 +473,12 @@ export default class GroupWireframeManager {
         vertices.push(edge.x2, edge.y2, edge.z2);
       });
       
-      // Create geometry from vertices
+      // Swap in the new geometry, keeping the mesh and material so that
+      // selection highlighting and references to the mesh stay valid
       const geometry = new THREE.BufferGeometry();
       geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-      
-      // Create line segments
-      const material = new THREE.LineBasicMaterial({ 
-        color: group.color || 0x888888, 
-        linewidth: 1,
-        transparent: true,
-        opacity: 0.5
-      });
-      
-      const newMesh = new THREE.LineSegments(geometry, material);
-      this.scene.add(newMesh);
+      mesh.geometry.dispose();
+      mesh.geometry = geometry;
       
       // Calculate group center for metadata display
       let centerX = 0, centerY = 0, centerZ = 0;
@@ -475,25 +493,52 @@ export default class GroupWireframeManager {
         y: centerY / groupNodes.length, 
         z: centerZ / groupNodes.length 
       };
+    });
+  }
+
+  /**
+   * Adds wireframes for new groups and removes wireframes of groups that no longer exist
+   * 
+   * @param {Array} groups - Array of group objects
+   * @returns {void}
+   */
+  syncWireframes(groups) {
+    this.groupWireframes
+      .filter(wireframe => !groups.includes(wireframe.group))
+      .forEach(wireframe => this.removeWireframe(wireframe));
+    
+    groups.forEach(group => {
+      const existing = this.groupWireframes.find(w => w.group === group);
       
-      // Store reference to new mesh for future updates
-      const wireframeIndex = this.groupWireframes.findIndex(w => w.group === group);
-      if (wireframeIndex >= 0) {
-        this.groupWireframes[wireframeIndex].mesh = newMesh;
+      if (existing) {
+        existing.mesh.material.color.set(group.color || 0x888888);
+      } else {
+        this.createWireframe(group);
       }
     });
   }
 
+  /**
+   * Removes a single wireframe from the scene and frees its GPU resources
+   * 
+   * @param {Object} wireframe - Wireframe object with mesh and group
+   * @returns {void}
+   */
+  removeWireframe(wireframe) {
+    this.scene.remove(wireframe.mesh);
+    wireframe.mesh.geometry.dispose();
+    wireframe.mesh.material.dispose();
+    this.groupWireframes.splice(this.groupWireframes.indexOf(wireframe), 1);
+  }
+
   /**
    * Removes all wireframes from the scene
    * 
    * @returns {void}
    */
   removeAll() {
-    this.groupWireframes.forEach(wireframe => {
-      this.scene.remove(wireframe.mesh);
-    });
-    this.groupWireframes = [];
+    // Empty the array in place since other modules hold a reference to it
+    [...this.groupWireframes].forEach(wireframe => this.removeWireframe(wireframe));
   }
 
   /**
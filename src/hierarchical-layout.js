@@ -0,0 +1,454 @@
+/**
+ * Rank directions the layout accepts
+ */
+const DIRECTIONS = ['TB', 'LR', 'radial'];
+
+/**
+ * Most sweeps of the crossing minimization
+ */
+const MAX_SWEEPS = 24;
+
+/**
+ * Sweeps without fewer crossings after which the ordering stops early
+ */
+const PATIENCE = 4;
+
+/**
+ * Passes that pull nodes towards their neighbors once the order is fixed
+ */
+const STRAIGHTEN_PASSES = 4;
+
+/**
+ * HierarchicalLayout
+ *
+ * Layered (Sugiyama-style) layout for directed graphs such as pipelines and
+ * org charts. Edges are followed from source to target: cycles are broken by
+ * reversing edges, nodes are put in layers so that edges point to later
+ * layers, edges that skip layers get virtual nodes, the order within each
+ * layer is swept with barycenters to reduce crossings, and nodes are pulled
+ * towards their neighbors to straighten edges.
+ *
+ * Layers stack downwards along the Y axis (TB), run left to right along the
+ * X axis (LR), or form rings around the roots in the x-z plane (radial).
+ *
+ * @class HierarchicalLayout
+ */
+export default class HierarchicalLayout {
+  /**
+   * Creates a new HierarchicalLayout instance
+   *
+   * @param {GraphModel} graph - Graph whose nodes are positioned
+   * @param {Object} options - Optional layout parameters
+   * @param {string} options.direction - TB, LR or radial (default TB)
+   * @param {number} options.nodeSpacing - Distance between neighbors in a layer (default 80)
+   * @param {number} options.layerSpacing - Distance between layers (default 1.5 times the node spacing)
+   * @throws {Error} If the direction is unknown
+   */
+  constructor(graph, options = {}) {
+    const direction = DIRECTIONS.find(name => name.toLowerCase() === String(options.direction ?? 'TB').toLowerCase());
+    if (!direction) {
+      throw new Error(`Unknown rank direction "${options.direction}", expected one of ${DIRECTIONS.join(', ')}`);
+    }
+
+    this.graph = graph;
+    this.direction = direction;
+    this.nodeSpacing = options.nodeSpacing ?? 80;
+    this.layerSpacing = options.layerSpacing ?? this.nodeSpacing * 1.5;
+  }
+
+  /**
+   * Positions every node. Nodes with explicit coordinates keep them, but
+   * still take part in the ordering
+   *
+   * @returns {Object} The number of layers and the edge crossings left
+   */
+  apply() {
+    const nodes = this.graph.nodes;
+    if (nodes.length === 0) return { layers: 0, crossings: 0 };
+
+    const indices = new Map(nodes.map((node, index) => [node.id, index]));
+    const edges = [];
+    this.graph.links.forEach(link => {
+      const source = indices.get(link.source);
+      const target = indices.get(link.target);
+      if (source !== undefined && target !== undefined && source !== target) edges.push([source, target]);
+    });
+
+    const acyclic = breakCycles(nodes.length, edges);
+    const layerOf = assignLayers(nodes.length, acyclic);
+    const { layers, up, down } = buildLayers(layerOf, acyclic);
+    const crossings = orderLayers(layers, up, down);
+    const position = straighten(layers, up, down);
+
+    this.place(nodes, layers, layerOf, position);
+    return { layers: layers.length, crossings };
+  }
+
+  /**
+   * Turns layers and positions within them into coordinates
+   *
+   * @param {Array} nodes - Array of node objects
+   * @param {Array<Array<number>>} layers - Vertices of each layer, in order
+   * @param {Int32Array} layerOf - Layer of each node
+   * @param {Float64Array} position - Position of each vertex within its layer
+   * @returns {void}
+   */
+  place(nodes, layers, layerOf, position) {
+    let min = Infinity;
+    let max = -Infinity;
+    position.forEach(value => {
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    });
+    const middle = (min + max) / 2;
+    const lastLayer = layers.length - 1;
+    const radii = this.direction === 'radial' ? this.ringRadii(layers, max - min + 1) : null;
+
+    nodes.forEach((node, index) => {
+      if (node.fixed) return;
+
+      const layer = layerOf[index];
+      const offset = position[index] - middle;
+
+      if (this.direction === 'TB') {
+        node.x = offset * this.nodeSpacing;
+        node.y = (lastLayer / 2 - layer) * this.layerSpacing;
+        node.z = 0;
+      } else if (this.direction === 'LR') {
+        node.x = (layer - lastLayer / 2) * this.layerSpacing;
+        node.y = -offset * this.nodeSpacing;
+        node.z = 0;
+      } else {
+        // The span of positions wraps once around the circle
+        const angle = ((position[index] - min + 0.5) / (max - min + 1)) * Math.PI * 2;
+        node.x = Math.cos(angle) * radii[layer];
+        node.y = 0;
+        node.z = Math.sin(angle) * radii[layer];
+      }
+    });
+  }
+
+  /**
+   * Works out the radius of each ring of the radial layout, far enough out
+   * that neighbors in a ring are at least the node spacing apart
+   *
+   * @param {Array<Array<number>>} layers - Vertices of each layer
+   * @param {number} span - Number of positions that wrap around a ring
+   * @returns {Array<number>} Radius of each layer
+   */
+  ringRadii(layers, span) {
+    const crowded = span * this.nodeSpacing / (Math.PI * 2);
+    const radii = [];
+    layers.forEach((layer, index) => {
+      // A single root sits in the middle
+      const previous = index === 0 ? (layer.length > 1 ? 0 : -this.layerSpacing) : radii[index - 1];
+      radii.push(Math.max(previous + this.layerSpacing, layer.length > 1 ? crowded : 0));
+    });
+    return radii;
+  }
+}
+
+/**
+ * Reverses the edges that close cycles, found by a depth-first search that
+ * starts from nodes without incoming edges
+ *
+ * @param {number} count - Number of nodes
+ * @param {Array<Array<number>>} edges - Edges as source and target indices
+ * @returns {Array<Array<number>>} The edges, with the ones closing cycles reversed
+ */
+function breakCycles(count, edges) {
+  const outgoing = Array.from({ length: count }, () => []);
+  const indegree = new Int32Array(count);
+  edges.forEach(([source, target], index) => {
+    outgoing[source].push(index);
+    indegree[target]++;
+  });
+
+  // 0 unvisited, 1 on the current path, 2 done
+  const state = new Uint8Array(count);
+  const reversed = new Uint8Array(edges.length);
+  const starts = range(count).sort((a, b) => (indegree[a] === 0 ? 0 : 1) - (indegree[b] === 0 ? 0 : 1));
+
+  starts.forEach(start => {
+    if (state[start] !== 0) return;
+
+    const stack = [[start, 0]];
+    state[start] = 1;
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const [node, next] = frame;
+
+      if (next === outgoing[node].length) {
+        state[node] = 2;
+        stack.pop();
+        continue;
+      }
+
+      frame[1]++;
+      const edge = outgoing[node][next];
+      const target = edges[edge][1];
+      if (state[target] === 1) {
+        reversed[edge] = 1;
+      } else if (state[target] === 0) {
+        state[target] = 1;
+        stack.push([target, 0]);
+      }
+    }
+  });
+
+  return edges.map(([source, target], index) => (reversed[index] ? [target, source] : [source, target]));
+}
+
+/**
+ * Puts nodes in layers by the longest path from a root, then moves roots
+ * down to just above their first child so that they don't all crowd the
+ * top layer
+ *
+ * @param {number} count - Number of nodes
+ * @param {Array<Array<number>>} edges - Edges without cycles
+ * @returns {Int32Array} Layer of each node
+ */
+function assignLayers(count, edges) {
+  const outgoing = Array.from({ length: count }, () => []);
+  const indegree = new Int32Array(count);
+  edges.forEach(([source, target]) => {
+    outgoing[source].push(target);
+    indegree[target]++;
+  });
+
+  const layerOf = new Int32Array(count);
+  const remaining = Int32Array.from(indegree);
+  const order = range(count).filter(node => indegree[node] === 0);
+  for (let i = 0; i < order.length; i++) {
+    const node = order[i];
+    outgoing[node].forEach(target => {
+      layerOf[target] = Math.max(layerOf[target], layerOf[node] + 1);
+      if (--remaining[target] === 0) order.push(target);
+    });
+  }
+
+  order.forEach(node => {
+    if (indegree[node] > 0 || outgoing[node].length === 0) return;
+    layerOf[node] = outgoing[node].reduce((lowest, target) => Math.min(lowest, layerOf[target]), Infinity) - 1;
+  });
+
+  return layerOf;
+}
+
+/**
+ * Groups vertices by layer, adding a chain of virtual vertices to every edge
+ * that skips layers so that each edge only joins neighboring layers.
+ * Virtual vertices are numbered after the nodes
+ *
+ * @param {Int32Array} layerOf - Layer of each node
+ * @param {Array<Array<number>>} edges - Edges pointing to later layers
+ * @returns {Object} layers (vertices of each layer), and up and down (each vertex's neighbors in the layer above and below)
+ */
+function buildLayers(layerOf, edges) {
+  const up = Array.from(layerOf, () => []);
+  const down = Array.from(layerOf, () => []);
+  const vertexLayer = Array.from(layerOf);
+
+  edges.forEach(([source, target]) => {
+    let previous = source;
+    for (let layer = layerOf[source] + 1; layer < layerOf[target]; layer++) {
+      const vertex = vertexLayer.length;
+      vertexLayer.push(layer);
+      up.push([previous]);
+      down.push([]);
+      down[previous].push(vertex);
+      previous = vertex;
+    }
+    down[previous].push(target);
+    up[target].push(previous);
+  });
+
+  const layers = [];
+  vertexLayer.forEach((layer, vertex) => {
+    while (layers.length <= layer) layers.push([]);
+    layers[layer].push(vertex);
+  });
+
+  return { layers, up, down };
+}
+
+/**
+ * Orders the vertices of each layer to reduce edge crossings, sweeping down
+ * and up with barycenters and keeping the best order found
+ *
+ * @param {Array<Array<number>>} layers - Vertices of each layer, reordered in place
+ * @param {Array<Array<number>>} up - Neighbors of each vertex in the layer above
+ * @param {Array<Array<number>>} down - Neighbors of each vertex in the layer below
+ * @returns {number} Edge crossings in the best order
+ */
+function orderLayers(layers, up, down) {
+  const position = new Float64Array(up.length);
+  seedOrder(layers, up);
+  layers.forEach(layer => layer.forEach((vertex, i) => { position[vertex] = i; }));
+
+  let best = layers.map(layer => [...layer]);
+  let bestCrossings = countCrossings(layers, down, position);
+  let stale = 0;
+
+  for (let sweep = 0; sweep < MAX_SWEEPS && bestCrossings > 0 && stale < PATIENCE; sweep++) {
+    if (sweep % 2 === 0) {
+      for (let i = 1; i < layers.length; i++) sortByBarycenter(layers[i], up, position);
+    } else {
+      for (let i = layers.length - 2; i >= 0; i--) sortByBarycenter(layers[i], down, position);
+    }
+
+    const crossings = countCrossings(layers, down, position);
+    if (crossings < bestCrossings) {
+      best = layers.map(layer => [...layer]);
+      bestCrossings = crossings;
+      stale = 0;
+    } else {
+      stale++;
+    }
+  }
+
+  best.forEach((layer, i) => { layers[i] = layer; });
+  return bestCrossings;
+}
+
+/**
+ * Orders each layer by the first appearance of a parent in the layer above,
+ * so that the sweeps start from a breadth-first order
+ *
+ * @param {Array<Array<number>>} layers - Vertices of each layer, reordered in place
+ * @param {Array<Array<number>>} up - Neighbors of each vertex in the layer above
+ * @returns {void}
+ */
+function seedOrder(layers, up) {
+  const rank = new Float64Array(up.length);
+  layers.forEach((layer, depth) => {
+    if (depth > 0) {
+      layer.forEach((vertex, i) => {
+        // Vertices without parents keep their place after the others
+        rank[vertex] = up[vertex].length > 0
+          ? up[vertex].reduce((first, parent) => Math.min(first, rank[parent]), Infinity)
+          : layers[depth - 1].length + i;
+      });
+      layer.sort((a, b) => rank[a] - rank[b]);
+    }
+    layer.forEach((vertex, i) => { rank[vertex] = i; });
+  });
+}
+
+/**
+ * Sorts a layer by the average position of each vertex's neighbors in the
+ * fixed layer, and updates the positions
+ *
+ * @param {Array<number>} layer - Vertices of the layer, reordered in place
+ * @param {Array<Array<number>>} neighbors - Neighbors of each vertex in the fixed layer
+ * @param {Float64Array} position - Position of each vertex within its layer
+ * @returns {void}
+ */
+function sortByBarycenter(layer, neighbors, position) {
+  const barycenter = new Map();
+  layer.forEach(vertex => {
+    const adjacent = neighbors[vertex];
+    let sum = 0;
+    adjacent.forEach(neighbor => { sum += position[neighbor]; });
+    // Vertices without neighbors there stay where they are
+    barycenter.set(vertex, adjacent.length > 0 ? sum / adjacent.length : position[vertex]);
+  });
+
+  layer.sort((a, b) => barycenter.get(a) - barycenter.get(b) || position[a] - position[b]);
+  layer.forEach((vertex, i) => { position[vertex] = i; });
+}
+
+/**
+ * Counts the edge crossings between every pair of neighboring layers, as
+ * inversions of the edges' lower ends when sorted by their upper ends
+ *
+ * @param {Array<Array<number>>} layers - Vertices of each layer, in order
+ * @param {Array<Array<number>>} down - Neighbors of each vertex in the layer below
+ * @param {Float64Array} position - Position of each vertex within its layer
+ * @returns {number} Total number of crossings
+ */
+function countCrossings(layers, down, position) {
+  let crossings = 0;
+
+  for (let i = 0; i < layers.length - 1; i++) {
+    // Fenwick tree over the positions in the lower layer
+    const size = layers[i + 1].length;
+    const tree = new Int32Array(size + 1);
+    let inserted = 0;
+
+    layers[i].forEach(vertex => {
+      const ends = down[vertex].map(neighbor => position[neighbor]).sort((a, b) => a - b);
+      ends.forEach(end => {
+        let atOrBefore = 0;
+        for (let j = end + 1; j > 0; j -= j & -j) atOrBefore += tree[j];
+        crossings += inserted - atOrBefore;
+        for (let j = end + 1; j <= size; j += j & -j) tree[j]++;
+        inserted++;
+      });
+    });
+  }
+
+  return crossings;
+}
+
+/**
+ * Spaces the vertices of each layer at least one unit apart in their order,
+ * pulling each towards the average position of its neighbors so that edges
+ * run as straight as they can
+ *
+ * @param {Array<Array<number>>} layers - Vertices of each layer, in order
+ * @param {Array<Array<number>>} up - Neighbors of each vertex in the layer above
+ * @param {Array<Array<number>>} down - Neighbors of each vertex in the layer below
+ * @returns {Float64Array} Position of each vertex
+ */
+function straighten(layers, up, down) {
+  const position = new Float64Array(up.length);
+  const width = layers.reduce((widest, layer) => Math.max(widest, layer.length), 0);
+  // Narrow layers start centered under the widest one
+  layers.forEach(layer => layer.forEach((vertex, i) => { position[vertex] = i + (width - layer.length) / 2; }));
+
+  for (let pass = 0; pass < STRAIGHTEN_PASSES; pass++) {
+    for (let i = 1; i < layers.length; i++) pullTowards(layers[i], up, position);
+    for (let i = layers.length - 2; i >= 0; i--) pullTowards(layers[i], down, position);
+  }
+
+  return position;
+}
+
+/**
+ * Moves the vertices of a layer towards the average position of their
+ * neighbors, keeping their order and at least one unit between them
+ *
+ * @param {Array<number>} layer - Vertices of the layer, in order
+ * @param {Array<Array<number>>} neighbors - Neighbors of each vertex in the adjacent layer
+ * @param {Float64Array} position - Position of each vertex, updated in place
+ * @returns {void}
+ */
+function pullTowards(layer, neighbors, position) {
+  const desired = layer.map(vertex => {
+    const adjacent = neighbors[vertex];
+    if (adjacent.length === 0) return position[vertex];
+    let sum = 0;
+    adjacent.forEach(neighbor => { sum += position[neighbor]; });
+    return sum / adjacent.length;
+  });
+
+  // Push overlapping vertices apart from the left and from the right, and
+  // meet in the middle; both keep the spacing, so their average does too
+  const fromLeft = [...desired];
+  for (let i = 1; i < fromLeft.length; i++) fromLeft[i] = Math.max(fromLeft[i], fromLeft[i - 1] + 1);
+  const fromRight = [...desired];
+  for (let i = fromRight.length - 2; i >= 0; i--) fromRight[i] = Math.min(fromRight[i], fromRight[i + 1] - 1);
+
+  layer.forEach((vertex, i) => { position[vertex] = (fromLeft[i] + fromRight[i]) / 2; });
+}
+
+/**
+ * Lists the numbers from 0 up to a count
+ *
+ * @param {number} count - How many numbers
+ * @returns {Array<number>} 0, 1, ..., count - 1
+ */
+function range(count) {
+  return Array.from({ length: count }, (_, index) => index);
+}
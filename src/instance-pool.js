@@ -0,0 +1,277 @@
+import * as THREE from 'three';
+
+/**
+ * Number of instances a pool has room for before it first grows
+ */
+const INITIAL_CAPACITY = 64;
+
+/**
+ * InstancePool
+ *
+ * Draws any number of items that share a geometry and material as a single
+ * InstancedMesh. Each item has its own matrix, color and opacity. The mesh is
+ * replaced by one twice the size when it runs out of room, and a removed
+ * item's slot is filled by moving the last instance into it.
+ *
+ * @class InstancePool
+ */
+export default class InstancePool {
+  /**
+   * Creates a new InstancePool instance
+   *
+   * @param {THREE.Object3D} parent - The object the instanced mesh is added to
+   * @param {THREE.BufferGeometry} geometry - Geometry shared by every instance
+   * @param {THREE.Material} material - Material shared by every instance
+   */
+  constructor(parent, geometry, material) {
+    this.parent = parent;
+    this.geometry = geometry;
+    this.material = material;
+    this.items = [];
+    this.indices = new Map();
+    this.mesh = null;
+
+    addInstanceOpacity(material);
+    this.allocate(INITIAL_CAPACITY);
+  }
+
+  /**
+   * Replaces the instanced mesh with one that has room for more instances,
+   * keeping the current instances
+   *
+   * @param {number} capacity - Number of instances the new mesh can hold
+   * @returns {void}
+   */
+  allocate(capacity) {
+    const previous = this.mesh;
+
+    // Each mesh gets its own copy of the geometry, since the per-instance
+    // opacity attribute has to match its capacity
+    const geometry = this.geometry.clone();
+    const opacity = new THREE.InstancedBufferAttribute(new Float32Array(capacity).fill(1), 1);
+    opacity.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute('instanceOpacity', opacity);
+
+    const mesh = new THREE.InstancedMesh(geometry, this.material, capacity);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+    mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+    // Instances move while layouts run, so bounds are only computed when asked for
+    mesh.frustumCulled = false;
+    mesh.count = this.items.length;
+
+    if (previous) {
+      mesh.instanceMatrix.array.set(previous.instanceMatrix.array);
+      mesh.instanceColor.array.set(previous.instanceColor.array);
+      opacity.array.set(previous.geometry.attributes.instanceOpacity.array);
+
+      this.parent.remove(previous);
+      previous.geometry.dispose();
+      previous.dispose();
+    }
+
+    this.mesh = mesh;
+    this.parent.add(mesh);
+  }
+
+  /**
+   * Replaces the geometry every instance shares, for example once a model
+   * has loaded, keeping the instances
+   *
+   * @param {THREE.BufferGeometry} geometry - The new geometry
+   * @returns {void}
+   */
+  setGeometry(geometry) {
+    this.geometry.dispose();
+    this.geometry = geometry;
+    this.allocate(this.mesh.instanceMatrix.count);
+  }
+
+  /**
+   * Adds an item as a new instance
+   *
+   * @param {Object} item - The item drawn by the instance
+   * @returns {void}
+   */
+  add(item) {
+    if (this.items.length === this.mesh.instanceMatrix.count) {
+      this.allocate(this.items.length * 2);
+    }
+
+    const index = this.items.length;
+    this.items.push(item);
+    this.indices.set(item, index);
+    this.mesh.count = this.items.length;
+    this.setOpacity(item, 1);
+  }
+
+  /**
+   * Removes an item's instance
+   *
+   * @param {Object} item - The item to remove
+   * @returns {void}
+   */
+  remove(item) {
+    const index = this.indices.get(item);
+    if (index === undefined) return;
+
+    const last = this.items.pop();
+    this.indices.delete(item);
+
+    if (last !== item) {
+      const lastIndex = this.items.length;
+      const mesh = this.mesh;
+      const opacity = mesh.geometry.attributes.instanceOpacity;
+
+      this.items[index] = last;
+      this.indices.set(last, index);
+      mesh.instanceMatrix.array.copyWithin(index * 16, lastIndex * 16, lastIndex * 16 + 16);
+      mesh.instanceColor.array.copyWithin(index * 3, lastIndex * 3, lastIndex * 3 + 3);
+      opacity.array[index] = opacity.array[lastIndex];
+      mesh.instanceColor.needsUpdate = true;
+      opacity.needsUpdate = true;
+    }
+
+    this.mesh.count = this.items.length;
+    this.invalidate();
+  }
+
+  /**
+   * Checks whether an item has an instance in this pool
+   *
+   * @param {Object} item - The item to look for
+   * @returns {boolean} True if the item is drawn by this pool
+   */
+  has(item) {
+    return this.indices.has(item);
+  }
+
+  /**
+   * Finds the item drawn by an instance
+   *
+   * @param {number} instanceId - Instance index, as reported by a raycast
+   * @returns {Object|null} The item, or null if there is none
+   */
+  getItem(instanceId) {
+    return this.items[instanceId] ?? null;
+  }
+
+  /**
+   * Sets the transform of an item's instance
+   *
+   * @param {Object} item - The item
+   * @param {THREE.Matrix4} matrix - Transform relative to the parent
+   * @returns {void}
+   */
+  setMatrix(item, matrix) {
+    this.mesh.setMatrixAt(this.indices.get(item), matrix);
+    this.invalidate();
+  }
+
+  /**
+   * Reads the transform of an item's instance
+   *
+   * @param {Object} item - The item
+   * @param {THREE.Matrix4} target - Matrix to copy the transform into
+   * @returns {THREE.Matrix4} The target matrix
+   */
+  getMatrix(item, target = new THREE.Matrix4()) {
+    this.mesh.getMatrixAt(this.indices.get(item), target);
+    return target;
+  }
+
+  /**
+   * Sets the color of an item's instance
+   *
+   * @param {Object} item - The item
+   * @param {THREE.Color|string|number} color - The new color
+   * @returns {void}
+   */
+  setColor(item, color) {
+    this.mesh.setColorAt(this.indices.get(item), new THREE.Color(color));
+    this.mesh.instanceColor.needsUpdate = true;
+  }
+
+  /**
+   * Reads the color of an item's instance
+   *
+   * @param {Object} item - The item
+   * @returns {THREE.Color} The color
+   */
+  getColor(item) {
+    const color = new THREE.Color();
+    this.mesh.getColorAt(this.indices.get(item), color);
+    return color;
+  }
+
+  /**
+   * Sets the opacity of an item's instance
+   *
+   * @param {Object} item - The item
+   * @param {number} opacity - Opacity from 0 to 1
+   * @returns {void}
+   */
+  setOpacity(item, opacity) {
+    const attribute = this.mesh.geometry.attributes.instanceOpacity;
+    attribute.array[this.indices.get(item)] = opacity;
+    attribute.needsUpdate = true;
+  }
+
+  /**
+   * Reads the opacity of an item's instance
+   *
+   * @param {Object} item - The item
+   * @returns {number} Opacity from 0 to 1
+   */
+  getOpacity(item) {
+    return this.mesh.geometry.attributes.instanceOpacity.array[this.indices.get(item)];
+  }
+
+  /**
+   * Flags moved instances for upload and drops the cached bounds, which are
+   * recomputed the next time a raycast or camera fit needs them
+   *
+   * @returns {void}
+   */
+  invalidate() {
+    this.mesh.instanceMatrix.needsUpdate = true;
+    this.mesh.boundingBox = null;
+    this.mesh.boundingSphere = null;
+  }
+
+  /**
+   * Removes the instanced mesh from its parent and frees its GPU resources
+   *
+   * @returns {void}
+   */
+  dispose() {
+    this.parent.remove(this.mesh);
+    this.mesh.geometry.dispose();
+    this.mesh.dispose();
+    this.geometry.dispose();
+    this.material.map?.dispose();
+    this.material.dispose();
+    this.items = [];
+    this.indices.clear();
+  }
+}
+
+/**
+ * Lets a mesh material read a per-instance instanceOpacity attribute, since
+ * InstancedMesh only has per-instance colors
+ *
+ * @param {THREE.Material} material - A MeshBasicMaterial used for instancing
+ * @returns {void}
+ */
+function addInstanceOpacity(material) {
+  material.transparent = true;
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', '#include <common>\nattribute float instanceOpacity;\nvarying float vInstanceOpacity;')
+      .replace('#include <begin_vertex>', '#include <begin_vertex>\n\tvInstanceOpacity = instanceOpacity;');
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', '#include <common>\nvarying float vInstanceOpacity;')
+      .replace('#include <color_fragment>', '#include <color_fragment>\n\tdiffuseColor.a *= vInstanceOpacity;');
+  };
+  material.customProgramCacheKey = () => 'instance-opacity';
+}
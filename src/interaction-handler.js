@@ -1,9 +1,18 @@
 import * as THREE from 'three';
 
+/**
+ * Opacity multiplier for nodes and edges outside the hovered node's neighborhood
+ */
+const DIM_OPACITY = 0.15;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
 /**
  * InteractionHandler
  * 
  * Handles user interactions with the visualization including clicks and selections
+ * of nodes, edges and groups, multi-selection of nodes, hovering over nodes,
+ * dragging nodes and highlighting paths
  * 
  * @class InteractionHandler
  */
@@ -16,32 +25,60 @@ export default class InteractionHandler {
    * @param {HTMLElement} rendererElement - The renderer's DOM element
    * @param {HTMLElement} labelRendererElement - The label renderer's DOM element
    * @param {Object} sceneManager - The SceneManager instance for camera control
+   * @param {Object} graphBuilder - The GraphBuilder whose graph model, node and edge renderers hold the graph
    */
-  constructor(camera, scene, rendererElement, labelRendererElement, sceneManager) {
+  constructor(camera, scene, rendererElement, labelRendererElement, sceneManager, graphBuilder) {
     this.camera = camera;
     this.scene = scene;
     this.rendererElement = rendererElement;
     this.labelRendererElement = labelRendererElement;
     this.sceneManager = sceneManager;
+    this.graph = graphBuilder.graph;
+    this.nodeRenderer = graphBuilder.nodeRenderer;
+    this.edgeRenderer = graphBuilder.edgeRenderer;
     this.selectedObject = null;
+    this.selectedNodes = [];
+    this.selectionMode = 'box';
+    this.selectionPath = null;
+    this.selectionOverlay = null;
+    this.nodes = [];
+    this.links = [];
+    this.groupWireframes = [];
     this.raycaster = new THREE.Raycaster();
     this.mouse = new THREE.Vector2();
     this.mouseDownPos = new THREE.Vector2();
     this.isDragging = false;
+    this.hoveredNode = null;
+    this.hoverPointer = null;
+    this.hoverTimer = null;
+    this.hoverThrottle = 50; // Milliseconds between hover raycasts
+    this.onHoverChange = null;
+    this.path = null;
+    this.onPathRequest = null;
+    this.draggedNode = null;
+    this.dragPlane = new THREE.Plane();
+    this.dragOffset = new THREE.Vector3();
+    this.dragStart = null;
+    this.nodeMoved = false;
+    this.onNodeDrag = null;
     
     this.raycaster.params.Points.threshold = 30;
-    this.raycaster.params.Line.threshold = 1; // Reduced from 10 to minimize edge hitbox
+    this.raycaster.params.Line.threshold = 1; // Reduced from 10 to minimize group wireframe hitbox
+    this.raycaster.params.Line2 = { threshold: 10 }; // Pixels around an edge that still count as clicking it
   }
 
   /**
    * Sets up click event listener
    * 
    * @param {Array} nodes - Array of node objects
+   * @param {Array} links - Array of link objects
    * @param {Array} groupWireframes - Array of group wireframe objects
    * @param {Function} onSelectionChange - Callback when selection changes
    * @returns {void}
    */
-  setupClickHandler(nodes, groupWireframes, onSelectionChange) {
+  setupClickHandler(nodes, links, groupWireframes, onSelectionChange) {
+    this.setGraph(nodes, links, groupWireframes);
+    
     // Track mouse down for drag detection
     this.rendererElement.addEventListener('mousedown', (event) => {
       this.mouseDownPos.x = event.clientX;
@@ -64,9 +101,12 @@ export default class InteractionHandler {
       // Check if clicked on a label
       if (event.target.classList.contains('node-label')) {
         const nodeId = event.target.dataset.nodeId;
-        const clickedNode = nodes.find(node => node.id === nodeId);        
+        const clickedNode = this.graph.getNode(nodeId);
         if (clickedNode) {
-          if (this.selectedObject === clickedNode) {
+          if (this.requestPath(clickedNode, event)) return;
+          if (isToggleClick(event)) {
+            this.toggleNodeSelection(clickedNode, onSelectionChange);
+          } else if (this.selectedObject === clickedNode) {
             this.handleSelection(null, onSelectionChange);
           } else {
             this.handleSelection(clickedNode, onSelectionChange);
@@ -98,18 +138,30 @@ export default class InteractionHandler {
       const intersects = this.raycaster.intersectObjects(this.scene.children, true);
 
       if (intersects.length > 0) {
-        const clickedNode = nodes.find(node => node.mesh === intersects[0].object);
+        // Nodes and edges share meshes, so they are told apart by instance and vertex index
+        const clickedNode = this.nodeRenderer.getNode(intersects[0]);
         
-        if (clickedNode) {
+        if (clickedNode && this.requestPath(clickedNode, event)) {
+          return;
+        } else if (clickedNode && isToggleClick(event)) {
+          this.toggleNodeSelection(clickedNode, onSelectionChange);
+        } else if (clickedNode) {
           if (this.selectedObject === clickedNode) {
             this.handleSelection(null, onSelectionChange);
           } else {
             this.handleSelection(clickedNode, onSelectionChange);
           }
         } else {
-          const clickedGroup = groupWireframes.find(gw => gw.mesh === intersects[0].object);
+          const clickedLink = this.edgeRenderer.getLink(intersects[0]);
+          const clickedGroup = this.groupWireframes.find(gw => gw.mesh === intersects[0].object);
           
-          if (clickedGroup) {
+          if (clickedLink) {
+            if (this.selectedObject === clickedLink) {
+              this.handleSelection(null, onSelectionChange);
+            } else {
+              this.handleSelection(clickedLink, onSelectionChange);
+            }
+          } else if (clickedGroup) {
             const groupSelection = {
               ...clickedGroup.group,
               wireframe: clickedGroup.mesh,
@@ -121,14 +173,469 @@ export default class InteractionHandler {
             } else {
               this.handleSelection(groupSelection, onSelectionChange);
             }
-          } else {
+          } else if (!isToggleClick(event)) {
             this.handleSelection(null, onSelectionChange);
           }
         }
-      } else {
+      } else if (!isToggleClick(event)) {
         this.handleSelection(null, onSelectionChange);
       }
     });
+    
+    this.setupAreaSelection(onSelectionChange);
+    this.setupNodeDrag();
+  }
+
+  /**
+   * Asks for the path from the selected node to an alt-clicked node
+   * 
+   * @param {Object} node - The clicked node
+   * @param {MouseEvent} event - The click event
+   * @returns {boolean} True if the click asked for a path
+   */
+  requestPath(node, event) {
+    const from = this.selectedObject;
+    if (!event.altKey || !this.onPathRequest || !from || !from.mesh || from === node) return false;
+    
+    this.onPathRequest(from, node);
+    return true;
+  }
+
+  /**
+   * Sets up shift-drag selection of every node inside a box or lasso
+   * 
+   * @param {Function} onSelectionChange - Callback when selection changes
+   * @returns {void}
+   */
+  setupAreaSelection(onSelectionChange) {
+    // Registered for the capture phase so it runs before OrbitControls, which
+    // would otherwise start panning on shift-drag
+    this.rendererElement.addEventListener('pointerdown', (event) => {
+      if (!event.shiftKey || event.button !== 0) return;
+      
+      if (this.sceneManager) {
+        this.sceneManager.controls.enabled = false;
+      }
+      this.rendererElement.setPointerCapture(event.pointerId);
+      this.selectionPath = [this.toLocalPoint(event)];
+      this.createSelectionOverlay();
+    }, { capture: true });
+    
+    this.rendererElement.addEventListener('pointermove', (event) => {
+      if (!this.selectionPath) return;
+      
+      const point = this.toLocalPoint(event);
+      if (this.selectionMode === 'lasso') {
+        this.selectionPath.push(point);
+      } else {
+        this.selectionPath = [this.selectionPath[0], point];
+      }
+      this.drawSelectionOverlay();
+    });
+    
+    const endSelection = () => {
+      if (!this.selectionPath) return;
+      
+      const polygon = this.getSelectionPolygon();
+      this.selectionPath = null;
+      this.removeSelectionOverlay();
+      if (this.sceneManager) {
+        this.sceneManager.controls.enabled = true;
+      }
+      
+      // Ignore shift-clicks, they toggle single nodes instead
+      if (!this.isDragging || polygon.length < 3) return;
+      
+      this.setSelectedNodes(this.findNodesInPolygon(polygon), onSelectionChange);
+    };
+    
+    this.rendererElement.addEventListener('pointerup', endSelection);
+    this.rendererElement.addEventListener('pointercancel', endSelection);
+  }
+
+  /**
+   * Sets up dragging nodes across a plane that faces the camera. Pressing on
+   * a node moves the node instead of orbiting the camera, and a press that
+   * doesn't move is still a click
+   * 
+   * @returns {void}
+   */
+  setupNodeDrag() {
+    // Registered for the capture phase so it runs before OrbitControls, which
+    // would otherwise start orbiting
+    this.rendererElement.addEventListener('pointerdown', (event) => {
+      if (event.button !== 0 || event.shiftKey || event.altKey || !this.onNodeDrag) return;
+      
+      const node = this.pickNode(event.clientX, event.clientY);
+      if (!node) return;
+      
+      if (this.sceneManager) {
+        this.sceneManager.controls.enabled = false;
+      }
+      this.rendererElement.setPointerCapture(event.pointerId);
+      
+      // The node keeps its depth, and stays under the point where it was grabbed
+      const position = node.mesh.localToWorld(new THREE.Vector3(node.x, node.y, node.z));
+      this.dragPlane.setFromNormalAndCoplanarPoint(this.camera.getWorldDirection(new THREE.Vector3()), position);
+      const grabbed = this.raycaster.ray.intersectPlane(this.dragPlane, new THREE.Vector3()) ?? position;
+      this.dragOffset.subVectors(position, grabbed);
+      this.draggedNode = node;
+      this.dragStart = { x: event.clientX, y: event.clientY };
+      this.nodeMoved = false;
+    }, { capture: true });
+    
+    this.rendererElement.addEventListener('pointermove', (event) => {
+      const node = this.draggedNode;
+      if (!node) return;
+      
+      // Movements that would still count as a click don't move the node
+      if (!this.nodeMoved && Math.abs(event.clientX - this.dragStart.x) <= 5 && Math.abs(event.clientY - this.dragStart.y) <= 5) return;
+      
+      this.setRay(event.clientX, event.clientY);
+      const point = this.raycaster.ray.intersectPlane(this.dragPlane, new THREE.Vector3());
+      if (!point || !node.mesh) return;
+      
+      const { x, y, z } = node.mesh.worldToLocal(point.add(this.dragOffset));
+      Object.assign(node, { x, y, z });
+      this.nodeMoved = true;
+      this.onNodeDrag(node, false);
+    });
+    
+    const endDrag = () => {
+      const node = this.draggedNode;
+      if (!node) return;
+      
+      this.draggedNode = null;
+      if (this.sceneManager) {
+        this.sceneManager.controls.enabled = true;
+      }
+      if (this.nodeMoved) this.onNodeDrag(node, true);
+    };
+    
+    this.rendererElement.addEventListener('pointerup', endDrag);
+    this.rendererElement.addEventListener('pointercancel', endDrag);
+  }
+
+  /**
+   * Points the raycaster from the camera through a point on the screen
+   * 
+   * @param {number} clientX - Horizontal position in viewport pixels
+   * @param {number} clientY - Vertical position in viewport pixels
+   * @returns {void}
+   */
+  setRay(clientX, clientY) {
+    const rect = this.rendererElement.getBoundingClientRect();
+    this.mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+    this.mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+    this.raycaster.setFromCamera(this.mouse, this.camera);
+  }
+
+  /**
+   * Finds the node under a point on the screen
+   * 
+   * @param {number} clientX - Horizontal position in viewport pixels
+   * @param {number} clientY - Vertical position in viewport pixels
+   * @returns {Object|null} The nearest node under the point, or null
+   */
+  pickNode(clientX, clientY) {
+    this.setRay(clientX, clientY);
+    // Only node meshes are tested, which keeps the raycast cheap on large graphs
+    const intersects = this.raycaster.intersectObjects(this.nodeRenderer.getMeshes(), false);
+    return intersects.length > 0 ? this.nodeRenderer.getNode(intersects[0]) : null;
+  }
+
+  /**
+   * Converts a pointer event to coordinates relative to the canvas
+   * 
+   * @param {PointerEvent} event - The pointer event
+   * @returns {Object} Point with x and y in CSS pixels
+   */
+  toLocalPoint(event) {
+    const rect = this.rendererElement.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  /**
+   * Describes the current box or lasso as a closed polygon
+   * 
+   * @returns {Array<Object>} Polygon points in canvas coordinates
+   */
+  getSelectionPolygon() {
+    const path = this.selectionPath || [];
+    if (this.selectionMode === 'lasso' || path.length < 2) return path;
+    
+    const [start, end] = path;
+    return [
+      start,
+      { x: end.x, y: start.y },
+      end,
+      { x: start.x, y: end.y }
+    ];
+  }
+
+  /**
+   * Finds the nodes whose projected screen position lies inside a polygon
+   * 
+   * @param {Array<Object>} polygon - Polygon points in canvas coordinates
+   * @returns {Array<Object>} The enclosed nodes
+   */
+  findNodesInPolygon(polygon) {
+    const rect = this.rendererElement.getBoundingClientRect();
+    const position = new THREE.Vector3();
+    
+    return this.nodes.filter(node => {
+      if (!node.mesh || node.hidden) return false;
+      
+      node.mesh.localToWorld(position.set(node.x, node.y, node.z)).project(this.camera);
+      // Skip nodes behind the camera
+      if (position.z > 1) return false;
+      
+      return isPointInPolygon({
+        x: (position.x + 1) / 2 * rect.width,
+        y: (1 - position.y) / 2 * rect.height
+      }, polygon);
+    });
+  }
+
+  /**
+   * Adds the SVG overlay that outlines the box or lasso while dragging
+   * 
+   * @returns {void}
+   */
+  createSelectionOverlay() {
+    this.removeSelectionOverlay();
+    
+    this.selectionOverlay = document.createElementNS(SVG_NS, 'svg');
+    this.selectionOverlay.classList.add('selection-overlay');
+    this.selectionOverlay.appendChild(document.createElementNS(SVG_NS, 'polygon'));
+    this.rendererElement.parentElement.appendChild(this.selectionOverlay);
+  }
+
+  /**
+   * Redraws the selection overlay from the current path
+   * 
+   * @returns {void}
+   */
+  drawSelectionOverlay() {
+    if (!this.selectionOverlay) return;
+    
+    const points = this.getSelectionPolygon().map(point => `${point.x},${point.y}`).join(' ');
+    this.selectionOverlay.firstChild.setAttribute('points', points);
+  }
+
+  /**
+   * Removes the selection overlay
+   * 
+   * @returns {void}
+   */
+  removeSelectionOverlay() {
+    if (this.selectionOverlay) {
+      this.selectionOverlay.remove();
+      this.selectionOverlay = null;
+    }
+  }
+
+  /**
+   * Sets up throttled hover detection over node meshes
+   * 
+   * @param {Function} onHoverChange - Callback with the hovered node (or null), the previously hovered node and the pointer position
+   * @returns {void}
+   */
+  setupHoverHandler(onHoverChange) {
+    this.onHoverChange = onHoverChange;
+    
+    this.rendererElement.addEventListener('mousemove', (event) => {
+      this.hoverPointer = { x: event.clientX, y: event.clientY };
+      
+      // Skip raycasting while the camera is being dragged, and raycast at most
+      // once per throttle interval using the latest pointer position
+      if (event.buttons !== 0 || this.hoverTimer) return;
+      
+      this.hoverTimer = setTimeout(() => {
+        this.hoverTimer = null;
+        this.updateHover();
+      }, this.hoverThrottle);
+    });
+    
+    this.rendererElement.addEventListener('mouseleave', () => {
+      this.clearHover();
+    });
+  }
+
+  /**
+   * Raycasts the latest pointer position against node instances and updates the hovered node
+   * 
+   * @returns {void}
+   */
+  updateHover() {
+    if (!this.hoverPointer) return;
+    
+    this.setHovered(this.pickNode(this.hoverPointer.x, this.hoverPointer.y));
+  }
+
+  /**
+   * Changes the hovered node, dimming everything outside its neighborhood
+   * 
+   * @param {Object|null} node - The hovered node or null
+   * @returns {void}
+   */
+  setHovered(node) {
+    if (node === this.hoveredNode) return;
+    
+    const previous = this.hoveredNode;
+    this.hoveredNode = node;
+    
+    this.clearDimming();
+    if (node) {
+      this.dimNeighborhood(node);
+    }
+    
+    if (this.onHoverChange) {
+      this.onHoverChange(node, previous, this.hoverPointer);
+    }
+  }
+
+  /**
+   * Ends any hover, for example when the pointer leaves or the graph changes
+   * 
+   * @returns {void}
+   */
+  clearHover() {
+    clearTimeout(this.hoverTimer);
+    this.hoverTimer = null;
+    this.setHovered(null);
+  }
+
+  /**
+   * Dims all nodes and edges that aren't the node or directly connected to it
+   * 
+   * @param {Object} node - The hovered node
+   * @returns {void}
+   */
+  dimNeighborhood(node) {
+    const neighborIds = new Set([node.id, ...this.graph.neighbors(node.id)]);
+    
+    this.nodes.forEach(other => {
+      if (!neighborIds.has(other.id)) this.setDimmed(other, true);
+    });
+    
+    this.links.forEach(link => {
+      if (link.source !== node.id && link.target !== node.id) this.setDimmed(link, true);
+    });
+  }
+
+  /**
+   * Restores every dimmed node and edge, except those dimmed because they
+   * aren't on the highlighted path
+   * 
+   * @returns {void}
+   */
+  clearDimming() {
+    this.nodes.forEach(node => {
+      if (node.dimmed) this.setDimmed(node, false);
+    });
+    this.links.forEach(link => {
+      if (link.dimmed) this.setDimmed(link, false);
+    });
+    
+    if (this.path) {
+      const nodes = new Set(this.path.nodes);
+      const links = new Set(this.path.links);
+      this.nodes.forEach(node => {
+        if (!nodes.has(node)) this.setDimmed(node, true);
+      });
+      this.links.forEach(link => {
+        if (!links.has(link)) this.setDimmed(link, true);
+      });
+      this.path.nodes.concat(this.path.links).forEach(object => this.highlight(object));
+    }
+    
+    // Restoring opacity also resets a selected edge, so highlight it again
+    this.getSelectedObjects().forEach(object => this.highlight(object));
+  }
+
+  /**
+   * Highlights the nodes and edges of a path and dims everything else
+   * 
+   * @param {Array} nodes - The path's nodes, in order
+   * @param {Array} links - The links between them
+   * @returns {void}
+   */
+  showPath(nodes, links) {
+    this.clearPath();
+    this.path = { nodes, links };
+    this.refreshDimming();
+  }
+
+  /**
+   * Removes the path highlight
+   * 
+   * @returns {void}
+   */
+  clearPath() {
+    if (!this.path) return;
+    
+    const selected = this.getSelectedObjects();
+    this.path.nodes.concat(this.path.links).forEach(object => {
+      if (!selected.includes(object)) this.unhighlight(object);
+    });
+    this.path = null;
+    this.refreshDimming();
+  }
+
+  /**
+   * Gets the nodes of the highlighted path
+   * 
+   * @returns {Array} The path's nodes in order, empty if no path is shown
+   */
+  getPathNodes() {
+    return this.path ? [...this.path.nodes] : [];
+  }
+
+  /**
+   * Dims the graph again for the current path and hovered node
+   * 
+   * @returns {void}
+   */
+  refreshDimming() {
+    this.clearDimming();
+    if (this.hoveredNode) {
+      this.dimNeighborhood(this.hoveredNode);
+    }
+  }
+
+  /**
+   * Fades a node or edge out, or back in
+   * 
+   * @param {Object} object - The node or link object
+   * @param {boolean} dimmed - Whether to fade it out
+   * @returns {void}
+   */
+  setDimmed(object, dimmed) {
+    object.dimmed = dimmed;
+    
+    if (object.mesh) {
+      this.nodeRenderer.setOpacity(object, dimmed ? DIM_OPACITY : 1);
+      if (object.label) {
+        object.label.element.classList.toggle('dimmed', dimmed);
+      }
+    } else if (object.line) {
+      this.edgeRenderer.setOpacity(object, dimmed ? object.opacity * DIM_OPACITY : object.opacity);
+    }
+  }
+
+  /**
+   * Replaces the nodes, links and group wireframes that clicks are resolved against
+   * 
+   * @param {Array} nodes - Array of node objects
+   * @param {Array} links - Array of link objects
+   * @param {Array} groupWireframes - Array of group wireframe objects
+   * @returns {void}
+   */
+  setGraph(nodes, links, groupWireframes) {
+    this.nodes = nodes;
+    this.links = links;
+    this.groupWireframes = groupWireframes;
   }
 
   /**
@@ -139,34 +646,22 @@ export default class InteractionHandler {
    * @returns {void}
    */
   handleSelection(newSelection, onSelectionChange) {
+    this.clearPath();
+    
     if (this.selectedObject && this.selectedObject !== newSelection) {
-      if (this.selectedObject.mesh) {
-        this.selectedObject.mesh.material.color.set(this.selectedObject.originalColor);
-        this.selectedObject.mesh.material.needsUpdate = true;
-        // Remove .selected class from label
-        const label = this.labelRendererElement.querySelector(`[data-node-id="${this.selectedObject.id}"]`);
-        if (label) {
-          label.classList.remove('selected');
-        }
-      } else if (this.selectedObject.wireframe) {
-        this.selectedObject.wireframe.material.color.set(this.selectedObject.originalColor || 0x888888);
-        this.selectedObject.wireframe.material.opacity = 0.5;
-        this.selectedObject.wireframe.material.needsUpdate = true;
-      }
+      this.unhighlight(this.selectedObject);
     }
+    this.selectedNodes.forEach(node => {
+      if (node !== newSelection) this.unhighlight(node);
+    });
 
     this.selectedObject = newSelection;
+    this.selectedNodes = newSelection && newSelection.mesh ? [newSelection] : [];
 
     if (newSelection) {
+      this.highlight(newSelection);
+
       if (newSelection.mesh) {
-        newSelection.mesh.material.color.set(0xff0000);
-        newSelection.mesh.material.needsUpdate = true;
-        // Add .selected class to label
-        const label = this.labelRendererElement.querySelector(`[data-node-id="${newSelection.id}"]`);
-        if (label) {
-          label.classList.add('selected');
-        }
-        
         // Animate scene to center selected node at origin
         if (this.sceneManager && newSelection.x !== undefined) {
           const targetPosition = new THREE.Vector3(newSelection.x, newSelection.y, newSelection.z);
@@ -174,10 +669,10 @@ export default class InteractionHandler {
         } else {
           console.log('Cannot center node:', { hasSceneManager: !!this.sceneManager, hasX: newSelection.x !== undefined });
         }
-      } else if (newSelection.wireframe) {
-        newSelection.wireframe.material.color.set(0x00ff00);
-        newSelection.wireframe.material.opacity = 0.8;
-        newSelection.wireframe.material.needsUpdate = true;
+      } else if (newSelection.line && this.sceneManager) {
+        // Center the middle of the edge's arc
+        const points = newSelection.points;
+        this.sceneManager.animateToNode(points[Math.floor(points.length / 2)].clone());
       }
     } else {
       // When deselecting, reset scene to original position
@@ -191,6 +686,100 @@ export default class InteractionHandler {
     }
   }
 
+  /**
+   * Selects a set of nodes, falling back to single selection for one node or none
+   * 
+   * @param {Array} nodes - The nodes to select
+   * @param {Function} onSelectionChange - Callback with the selected node array, single object or null
+   * @returns {void}
+   */
+  setSelectedNodes(nodes, onSelectionChange) {
+    if (nodes.length <= 1) {
+      this.handleSelection(nodes[0] || null, onSelectionChange);
+      return;
+    }
+    
+    this.clearPath();
+    this.getSelectedObjects().forEach(object => {
+      if (!nodes.includes(object)) this.unhighlight(object);
+    });
+    
+    this.selectedObject = null;
+    this.selectedNodes = [...nodes];
+    this.selectedNodes.forEach(node => this.highlight(node));
+    
+    if (onSelectionChange) {
+      onSelectionChange(this.selectedNodes);
+    }
+  }
+
+  /**
+   * Adds a node to the selected nodes, or removes it if it is already selected
+   * 
+   * @param {Object} node - The node to toggle
+   * @param {Function} onSelectionChange - Callback when selection changes
+   * @returns {void}
+   */
+  toggleNodeSelection(node, onSelectionChange) {
+    const nodes = this.selectedNodes.includes(node)
+      ? this.selectedNodes.filter(selected => selected !== node)
+      : this.selectedNodes.concat(node);
+    
+    // Edges and groups can't be part of a multi-selection
+    if (this.selectedObject && !this.selectedObject.mesh) {
+      this.unhighlight(this.selectedObject);
+      this.selectedObject = null;
+    }
+    
+    this.setSelectedNodes(nodes, onSelectionChange);
+  }
+
+  /**
+   * Applies the selected appearance to a node, edge or group
+   * 
+   * @param {Object} object - The selected node, edge or group
+   * @returns {void}
+   */
+  highlight(object) {
+    if (object.mesh) {
+      this.nodeRenderer.setColor(object, 0xff0000);
+      // Add .selected class to label
+      if (object.label) {
+        object.label.element.classList.add('selected');
+      }
+    } else if (object.line) {
+      this.edgeRenderer.setColor(object, 0xff0000);
+      this.edgeRenderer.setOpacity(object, 1);
+    } else if (object.wireframe && object.wireframe.material) {
+      object.wireframe.material.color.set(0x00ff00);
+      object.wireframe.material.opacity = 0.8;
+      object.wireframe.material.needsUpdate = true;
+    }
+  }
+
+  /**
+   * Restores the original appearance of a node, edge or group
+   * 
+   * @param {Object} object - The previously selected node, edge or group
+   * @returns {void}
+   */
+  unhighlight(object) {
+    if (object.mesh) {
+      this.nodeRenderer.setColor(object, object.originalColor);
+      // Remove .selected class from label
+      if (object.label) {
+        object.label.element.classList.remove('selected');
+      }
+    } else if (object.line) {
+      this.edgeRenderer.setColor(object, object.color);
+      this.edgeRenderer.setOpacity(object, object.opacity);
+    } else if (object.wireframe && object.wireframe.material) {
+      object.wireframe.material.color.set(object.originalColor || 0x888888);
+      object.wireframe.material.opacity = 0.5;
+      object.wireframe.material.needsUpdate = true;
+    }
+  }
+
   /**
    * Gets the currently selected object
    * 
@@ -199,4 +788,54 @@ export default class InteractionHandler {
   getSelectedObject() {
     return this.selectedObject;
   }
+
+  /**
+   * Gets the selected nodes
+   * 
+   * @returns {Array} The selected nodes, empty if an edge, a group or nothing is selected
+   */
+  getSelectedNodes() {
+    return [...this.selectedNodes];
+  }
+
+  /**
+   * Gets everything that is currently highlighted as selected
+   * 
+   * @returns {Array} The selected nodes, or the selected edge or group
+   */
+  getSelectedObjects() {
+    if (this.selectedNodes.length > 0) return [...this.selectedNodes];
+    return this.selectedObject ? [this.selectedObject] : [];
+  }
+}
+
+/**
+ * Checks whether a click should add to or remove from the selection
+ * 
+ * @param {MouseEvent} event - The click event
+ * @returns {boolean} True if shift, ctrl or cmd was held
+ */
+function isToggleClick(event) {
+  return event.shiftKey || event.ctrlKey || event.metaKey;
+}
+
+/**
+ * Tests whether a point lies inside a polygon using the even-odd rule
+ * 
+ * @param {Object} point - Point with x and y
+ * @param {Array<Object>} polygon - Polygon points with x and y
+ * @returns {boolean} True if the point is inside
+ */
+function isPointInPolygon(point, polygon) {
+  let inside = false;
+  
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.y > point.y) !== (b.y > point.y) &&
+      point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x;
+    if (crosses) inside = !inside;
+  }
+  
+  return inside;
 }
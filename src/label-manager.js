@@ -0,0 +1,203 @@
+import * as THREE from 'three';
+
+/**
+ * Size of the screen-space cells used to find overlapping labels, in pixels
+ */
+const CELL_SIZE = 64;
+
+/**
+ * Length of the label fade in milliseconds, matching the .node-label transition
+ */
+const FADE_DURATION = 300;
+
+/**
+ * LabelManager
+ *
+ * Decides which node labels are shown. A label appears once the camera is
+ * close enough to its node for the zoom level to pass the labels-zoom-level
+ * threshold, and is hidden again when it would overlap a more important
+ * label on screen. Labels fade in and out through the label-hidden class,
+ * and labels that have faded out are taken out of the CSS2D render so that
+ * large graphs only keep the shown labels in the DOM.
+ *
+ * @class LabelManager
+ */
+export default class LabelManager {
+  /**
+   * Creates a new LabelManager instance
+   *
+   * @param {THREE.Camera} camera - The Three.js camera
+   * @param {HTMLElement} container - The element labels are drawn over
+   */
+  constructor(camera, container) {
+    this.camera = camera;
+    this.container = container;
+    this.interval = 100; // Milliseconds between visibility passes
+    this.lastUpdate = -Infinity;
+  }
+
+  /**
+   * Recalculates label visibility, at most once per interval
+   *
+   * @param {Array} nodes - Array of node objects
+   * @param {GraphModel} graph - The graph, used to rank nodes by degree
+   * @param {Object} options - Visibility options
+   * @param {number} options.zoomLevel - Zoom level at which labels become visible
+   * @param {number} options.homeDistance - Camera distance that counts as zoom level 1
+   * @param {Set} options.pinned - Nodes whose labels are always shown
+   * @param {boolean} options.force - Update even if the interval hasn't passed
+   * @returns {void}
+   */
+  update(nodes, graph, { zoomLevel, homeDistance, pinned, force = false }) {
+    const now = performance.now();
+    if (!force && now - this.lastUpdate < this.interval) return;
+    this.lastUpdate = now;
+
+    const width = this.container.clientWidth;
+    const height = this.container.clientHeight;
+
+    const cells = new Map();
+    const candidates = [];
+    const position = new THREE.Vector3();
+
+    nodes.forEach(node => {
+      if (!node.label) return;
+
+      // Nodes hidden by a filter hide their labels too, even when pinned
+      if (node.hidden) {
+        this.setLabelVisible(node, false, now);
+        return;
+      }
+
+      node.label.getWorldPosition(position);
+      const zoom = homeDistance / position.distanceTo(this.camera.position);
+      position.project(this.camera);
+
+      const candidate = {
+        node,
+        x: (position.x + 1) / 2 * width,
+        y: (1 - position.y) / 2 * height,
+        score: node.priority ?? graph.degree(node.id)
+      };
+
+      if (pinned.has(node)) {
+        this.setLabelVisible(node, true, now);
+        this.occupy(cells, this.getBox(candidate));
+      } else if (zoom < zoomLevel || position.z > 1) {
+        this.setLabelVisible(node, false, now);
+      } else {
+        candidates.push(candidate);
+      }
+    });
+
+    // Most important labels claim their space first
+    candidates.sort((a, b) => b.score - a.score);
+
+    candidates.forEach(candidate => {
+      const box = this.getBox(candidate);
+      const overlaps = this.overlaps(cells, box);
+
+      this.setLabelVisible(candidate.node, !overlaps, now);
+      if (!overlaps) this.occupy(cells, box);
+    });
+  }
+
+  /**
+   * Calculates the screen rectangle a label covers, measuring it once
+   *
+   * @param {Object} candidate - Object with node and the label's projected x, y position
+   * @returns {Object} Box with left, top, right and bottom in pixels
+   */
+  getBox({ node, x, y }) {
+    const label = node.label;
+    // Labels hidden by CSS2DRenderer measure 0, so keep measuring until they are shown
+    if (!label.userData.size || label.userData.size.width === 0) {
+      label.userData.size = {
+        width: label.element.offsetWidth,
+        height: label.element.offsetHeight
+      };
+    }
+
+    // CSS2DRenderer centers labels on their projected position
+    const { width, height } = label.userData.size;
+
+    return {
+      left: x - width / 2,
+      top: y - height / 2,
+      right: x + width / 2,
+      bottom: y + height / 2
+    };
+  }
+
+  /**
+   * Checks whether a box overlaps any box already placed in the cells it covers
+   *
+   * @param {Map} cells - Placed boxes keyed by cell
+   * @param {Object} box - Box with left, top, right and bottom
+   * @returns {boolean} True if the box overlaps another
+   */
+  overlaps(cells, box) {
+    return this.getCellKeys(box).some(key => (cells.get(key) || []).some(other =>
+      box.left < other.right && box.right > other.left &&
+      box.top < other.bottom && box.bottom > other.top
+    ));
+  }
+
+  /**
+   * Places a box in every cell it covers
+   *
+   * @param {Map} cells - Placed boxes keyed by cell
+   * @param {Object} box - Box with left, top, right and bottom
+   * @returns {void}
+   */
+  occupy(cells, box) {
+    this.getCellKeys(box).forEach(key => {
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(box);
+    });
+  }
+
+  /**
+   * Lists the keys of the cells a box covers
+   *
+   * @param {Object} box - Box with left, top, right and bottom
+   * @returns {Array<string>} Cell keys
+   */
+  getCellKeys(box) {
+    const keys = [];
+    for (let cellX = Math.floor(box.left / CELL_SIZE); cellX <= Math.floor(box.right / CELL_SIZE); cellX++) {
+      for (let cellY = Math.floor(box.top / CELL_SIZE); cellY <= Math.floor(box.bottom / CELL_SIZE); cellY++) {
+        keys.push(`${cellX},${cellY}`);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Fades a label in or out. A label that was taken out of the render is put
+   * back first and fades in on the next pass, since a transition can't start
+   * from display: none
+   *
+   * @param {Object} node - The node object
+   * @param {boolean} visible - Whether the label should be shown
+   * @param {number} now - Time of this pass in milliseconds
+   * @returns {void}
+   */
+  setLabelVisible(node, visible, now) {
+    const label = node.label;
+    const classList = label.element.classList;
+
+    if (visible) {
+      if (!label.visible) {
+        label.visible = true;
+      } else {
+        classList.remove('label-hidden');
+      }
+    } else if (!classList.contains('label-hidden')) {
+      classList.add('label-hidden');
+      label.userData.hiddenAt = now;
+    } else if (label.visible && now - (label.userData.hiddenAt ?? -Infinity) >= FADE_DURATION) {
+      label.visible = false;
+    }
+  }
+}
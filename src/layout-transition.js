@@ -0,0 +1,143 @@
+/**
+ * Easing functions by name, mapping progress from 0 to 1 onto distance
+ * travelled from 0 to 1
+ */
+const EASINGS = {
+  'linear': progress => progress,
+  'ease-in': progress => progress * progress * progress,
+  'ease-out': progress => 1 - Math.pow(1 - progress, 3),
+  // easeInOutCubic, as used when the scene slides to a node
+  'ease-in-out': progress => progress < 0.5
+    ? 4 * progress * progress * progress
+    : 1 - Math.pow(-2 * progress + 2, 3) / 2
+};
+
+/**
+ * LayoutTransition
+ *
+ * Moves nodes smoothly from where they were to where a change put them, and
+ * scales nodes that the change added, removed, hid or showed in or out.
+ * Create it before the change, call start() after, and step() once per
+ * frame until it returns false. Nodes are matched by id, so a node that is
+ * replaced by a new node object with the same id moves rather than leaving.
+ *
+ * @class LayoutTransition
+ */
+export default class LayoutTransition {
+  /**
+   * Creates a new LayoutTransition instance, remembering where the nodes are
+   *
+   * @param {Array} nodes - Array of node objects
+   * @param {Object} options - Optional transition parameters
+   * @param {number} options.duration - Length of the transition in milliseconds (default 800)
+   * @param {string} options.easing - "linear", "ease-in", "ease-out" or "ease-in-out" (default "ease-in-out")
+   * @throws {Error} If the easing is unknown
+   */
+  constructor(nodes, options = {}) {
+    const easing = options.easing ?? 'ease-in-out';
+    if (!Object.hasOwn(EASINGS, easing)) {
+      throw new Error(`Unknown easing "${easing}", expected one of ${Object.keys(EASINGS).join(', ')}`);
+    }
+
+    this.duration = options.duration ?? 800;
+    this.ease = EASINGS[easing];
+    this.from = new Map(nodes.map(node => [node.id, { node, ...snapshot(node) }]));
+    this.to = new Map();
+    this.removed = [];
+    this.moving = true;
+    this.startTime = null;
+  }
+
+  /**
+   * Remembers where the change put the nodes and moves them back to where
+   * they were, to travel from there
+   *
+   * @param {Array} nodes - Array of node objects after the change
+   * @param {boolean} moving - False to only scale nodes in and out, when something else moves them
+   * @returns {void}
+   */
+  start(nodes, moving = true) {
+    this.moving = moving;
+
+    nodes.forEach(node => {
+      const to = { x: node.x, y: node.y, z: node.z, appearance: node.hidden ? 0 : 1 };
+      // Nodes that weren't there before grow where they end up
+      const from = this.from.get(node.id) ?? { ...to, appearance: 0 };
+      this.to.set(node, { to, from });
+
+      if (moving) Object.assign(node, { x: from.x, y: from.y, z: from.z });
+      node.appearance = from.appearance;
+    });
+
+    // Nodes that are gone shrink where they were
+    const ids = new Set(nodes.map(node => node.id));
+    this.from.forEach((from, id) => {
+      if (ids.has(id) || from.appearance === 0) return;
+      this.removed.push(from.node);
+      this.to.set(from.node, { to: { ...from, appearance: 0 }, from });
+    });
+
+    this.startTime = Date.now();
+  }
+
+  /**
+   * Moves and scales the nodes along for the current time
+   *
+   * @returns {boolean} True until the nodes have arrived
+   */
+  step() {
+    const progress = this.duration > 0 ? Math.min((Date.now() - this.startTime) / this.duration, 1) : 1;
+    if (progress >= 1) {
+      this.finish();
+      return false;
+    }
+
+    const eased = this.ease(progress);
+    this.to.forEach(({ to, from }, node) => {
+      if (this.moving) {
+        node.x = from.x + (to.x - from.x) * eased;
+        node.y = from.y + (to.y - from.y) * eased;
+        node.z = from.z + (to.z - from.z) * eased;
+      }
+      node.appearance = from.appearance + (to.appearance - from.appearance) * eased;
+    });
+    return true;
+  }
+
+  /**
+   * Stops moving and scaling a node, so that something else can move it
+   *
+   * @param {Object} node - The node object
+   * @returns {void}
+   */
+  release(node) {
+    if (this.to.delete(node)) delete node.appearance;
+  }
+
+  /**
+   * Puts every node where it ends up at once
+   *
+   * @returns {void}
+   */
+  finish() {
+    this.to.forEach(({ to }, node) => {
+      if (this.moving) Object.assign(node, { x: to.x, y: to.y, z: to.z });
+      delete node.appearance;
+    });
+  }
+}
+
+/**
+ * Records where a node is and how much of it is showing
+ *
+ * @param {Object} node - The node object
+ * @returns {Object} The node's coordinates and appearance, 0 for hidden nodes
+ */
+function snapshot(node) {
+  return {
+    x: node.x,
+    y: node.y,
+    z: node.z,
+    appearance: node.appearance ?? (node.hidden ? 0 : 1)
+  };
+}
@@ -1,7 +1,8 @@
 /**
  * MetadataDisplay
  * 
- * Manages the display of metadata for selected nodes and groups
+ * Manages the display of metadata for selected nodes, edges and groups, for
+ * multiple selected nodes and for paths between nodes
  * 
  * @class MetadataDisplay
  */
@@ -33,12 +34,11 @@ export default class MetadataDisplay {
    * Displays metadata for a selected node
    * 
    * @param {Object} node - The selected node object
-   * @param {Array} nodes - All nodes in the graph
-   * @param {Array} links - All links in the graph
+   * @param {GraphModel} graph - The graph the node belongs to
    * @param {Function} onNodeClick - Callback when a connected node is clicked
    * @returns {void}
    */
-  showNodeMetadata(node, nodes, links, onNodeClick) {
+  showNodeMetadata(node, graph, onNodeClick) {
     this.clear();
     
     const metadata_container = this.createElement('div', {class:'selected-node-metadata'});
@@ -47,24 +47,16 @@ export default class MetadataDisplay {
       this.createElement('div', {class:'node-content', content:node.content}, metadata_container);
     }
     
-    const connectedNodeIds = new Set();
+    const connectedNodeIds = graph.neighbors(node.id);
     
-    links.forEach(link => {
-      if(link.source === node.id){
-        connectedNodeIds.add(link.target);
-      } else if(link.target === node.id){
-        connectedNodeIds.add(link.source);
-      }
-    });
-    
-    if(connectedNodeIds.size > 0){
+    if(connectedNodeIds.length > 0){
       const connections_container = this.createElement('div', {class:'connected-nodes'}, metadata_container);
       this.createElement('h3', {content:'Connected Nodes'}, connections_container);
       
       const list = this.createElement('ul', {}, connections_container);
       
       connectedNodeIds.forEach(nodeId => {
-        const connectedNode = nodes.find(n => n.id === nodeId);
+        const connectedNode = graph.getNode(nodeId);
         
         if(connectedNode){
           const list_item = this.createElement('li', {}, list);
@@ -83,27 +75,146 @@ export default class MetadataDisplay {
       });
     }
 
-    const connectedNodeNames = Array.from(connectedNodeIds).map(nodeId => {
-      const connectedNode = nodes.find(n => n.id === nodeId);
+    const connectedNodeNames = connectedNodeIds.map(nodeId => {
+      const connectedNode = graph.getNode(nodeId);
       return connectedNode ? (connectedNode.name || connectedNode.id) : nodeId;
     });
 
     this.container.event('metadata-shown', {
+      type: 'node',
       title: node.name || node.id,
       content: node.content || '',
       links: connectedNodeNames
     });
   }
 
+  /**
+   * Displays metadata for a selected edge
+   * 
+   * @param {Object} link - The selected link object
+   * @param {GraphModel} graph - The graph the link belongs to
+   * @param {Function} onNodeClick - Callback when an endpoint node is clicked
+   * @returns {void}
+   */
+  showEdgeMetadata(link, graph, onNodeClick) {
+    this.clear();
+    
+    const metadata_container = this.createElement('div', {class:'selected-node-metadata'});
+    
+    if(link.content && link.content.length > 0){
+      this.createElement('div', {class:'node-content', content:link.content}, metadata_container);
+    }
+    
+    const endpointNames = [];
+    const endpoints_container = this.createElement('div', {class:'connected-nodes'}, metadata_container);
+    this.createElement('h3', {content:'Endpoints'}, endpoints_container);
+    
+    const list = this.createElement('ul', {}, endpoints_container);
+    
+    [link.source, link.target].forEach(nodeId => {
+      const endpointNode = graph.getNode(nodeId);
+      const endpointName = endpointNode ? (endpointNode.name || endpointNode.id) : nodeId;
+      endpointNames.push(endpointName);
+      
+      const list_item = this.createElement('li', {}, list);
+      
+      const node_link = this.createElement('a', {
+        class:'connected-node',
+        href: '#',
+        content: endpointName
+      }, list_item);
+      
+      node_link.addEventListener('click', (e) => {
+        e.preventDefault();
+        onNodeClick(nodeId);
+      });
+    });
+
+    this.container.event('metadata-shown', {
+      type: 'edge',
+      title: link.name || endpointNames.join(' → '),
+      content: link.content || '',
+      links: endpointNames
+    });
+  }
+
+  /**
+   * Displays a combined panel for several selected nodes
+   * 
+   * @param {Array} selectedNodes - The selected node objects
+   * @param {GraphModel} graph - The graph the nodes belong to
+   * @param {Function} onNodeClick - Callback when a listed node is clicked
+   * @returns {void}
+   */
+  showSelectionMetadata(selectedNodes, graph, onNodeClick) {
+    this.clear();
+    
+    const metadata_container = this.createElement('div', {class:'selected-node-metadata'});
+    const selected_container = this.createElement('div', {class:'connected-nodes'}, metadata_container);
+    this.createElement('h3', {content:`${selectedNodes.length} Selected Nodes`}, selected_container);
+    
+    const list = this.createElement('ul', {}, selected_container);
+    const nodeNames = new Map();
+    
+    selectedNodes.forEach(node => {
+      nodeNames.set(node.id, node.name || node.id);
+      
+      const list_item = this.createElement('li', {}, list);
+      
+      const node_link = this.createElement('a', {
+        class:'connected-node',
+        href: '#',
+        content: node.name || node.id
+      }, list_item);
+      
+      node_link.addEventListener('click', (e) => {
+        e.preventDefault();
+        onNodeClick(node.id);
+      });
+      
+      if(node.content && node.content.length > 0){
+        this.createElement('div', {class:'node-content', content:node.content}, list_item);
+      }
+    });
+    
+    const shared_links = new Set();
+    nodeNames.forEach((name, nodeId) => {
+      graph.edgesOf(nodeId).forEach(link => {
+        if(nodeNames.has(link.source) && nodeNames.has(link.target)){
+          shared_links.add(link);
+        }
+      });
+    });
+    
+    if(shared_links.size > 0){
+      const links_container = this.createElement('div', {class:'connected-nodes'}, metadata_container);
+      this.createElement('h3', {content:'Connections Between Them'}, links_container);
+      
+      const links_list = this.createElement('ul', {}, links_container);
+      
+      shared_links.forEach(link => {
+        const description = `${nodeNames.get(link.source)} → ${nodeNames.get(link.target)}`;
+        this.createElement('li', {content: link.name ? `${description} (${link.name})` : description}, links_list);
+      });
+    }
+
+    this.container.event('metadata-shown', {
+      type: 'selection',
+      title: `${selectedNodes.length} nodes selected`,
+      content: selectedNodes.map(node => node.content || '').join(''),
+      links: Array.from(nodeNames.values())
+    });
+  }
+
   /**
    * Displays metadata for a selected group
    * 
    * @param {Object} group - The selected group object
-   * @param {Array} nodes - All nodes in the graph
+   * @param {GraphModel} graph - The graph the group's nodes belong to
    * @param {Function} onNodeClick - Callback when a member node is clicked
    * @returns {void}
    */
-  showGroupMetadata(group, nodes, onNodeClick) {
+  showGroupMetadata(group, graph, onNodeClick) {
     this.clear();
     
     const metadata_container = this.createElement('div', {class:'selected-node-metadata'});
@@ -113,15 +224,16 @@ export default class MetadataDisplay {
     }
     
     const memberNames = [];
+    const memberIds = graph.membersOf(group);
     
-    if(group.nodeIds && group.nodeIds.length > 0){
+    if(memberIds.length > 0){
       const members_container = this.createElement('div', {class:'connected-nodes'}, metadata_container);
       this.createElement('h3', {content:'Group Members'}, members_container);
       
       const list = this.createElement('ul', {}, members_container);
       
-      group.nodeIds.forEach(nodeId => {
-        const memberNode = nodes.find(n => n.id === nodeId);
+      memberIds.forEach(nodeId => {
+        const memberNode = graph.getNode(nodeId);
         
         if(memberNode){
           memberNames.push(memberNode.name || memberNode.id);
@@ -143,9 +255,67 @@ export default class MetadataDisplay {
     }
 
     this.container.event('metadata-shown', {
+      type: 'group',
       title: group.name || group.id,
       content: group.content || '',
       links: memberNames
     });
   }
+
+  /**
+   * Displays the nodes along a path in order
+   * 
+   * @param {string} sourceId - ID of the node the path starts at
+   * @param {string} targetId - ID of the node the path ends at
+   * @param {Object|null} path - The path's node ids and links, or null if there is none
+   * @param {GraphModel} graph - The graph the path runs through
+   * @param {Function} onNodeClick - Callback when a node on the path is clicked
+   * @returns {void}
+   */
+  showPathMetadata(sourceId, targetId, path, graph, onNodeClick) {
+    this.clear();
+    
+    const nameOf = nodeId => {
+      const node = graph.getNode(nodeId);
+      return node ? (node.name || node.id) : nodeId;
+    };
+    
+    const metadata_container = this.createElement('div', {class:'selected-node-metadata'});
+    const path_container = this.createElement('div', {class:'connected-nodes'}, metadata_container);
+    const pathNames = [];
+    
+    if(!path){
+      this.createElement('h3', {content:'No Path'}, path_container);
+      this.createElement('p', {content:`${nameOf(sourceId)} and ${nameOf(targetId)} aren't connected`}, path_container);
+    } else {
+      const steps = path.links.length;
+      this.createElement('h3', {content:`Path: ${steps} ${steps === 1 ? 'step' : 'steps'}`}, path_container);
+      
+      const list = this.createElement('ol', {}, path_container);
+      
+      path.nodes.forEach(nodeId => {
+        pathNames.push(nameOf(nodeId));
+        
+        const list_item = this.createElement('li', {}, list);
+        
+        const node_link = this.createElement('a', {
+          class:'connected-node',
+          href: '#',
+          content: nameOf(nodeId)
+        }, list_item);
+        
+        node_link.addEventListener('click', (e) => {
+          e.preventDefault();
+          onNodeClick(nodeId);
+        });
+      });
+    }
+
+    this.container.event('metadata-shown', {
+      type: 'path',
+      title: `${nameOf(sourceId)} → ${nameOf(targetId)}`,
+      content: '',
+      links: pathNames
+    });
+  }
 }
@@ -4,12 +4,29 @@ import GraphBuilder from './graph-builder.js';
 import GroupWireframeManager from './group-wireframe-manager.js';
 import MetadataDisplay from './metadata-display.js';
 import InteractionHandler from './interaction-handler.js';
+import ForceLayout from './force-layout.js';
+import HierarchicalLayout from './hierarchical-layout.js';
+import RadialLayout from './radial-layout.js';
+import LayoutTransition from './layout-transition.js';
+import GraphImporter from './graph-importer.js';
+import GraphExporter from './graph-exporter.js';
+import SnapshotExporter from './snapshot-exporter.js';
+import LabelManager from './label-manager.js';
+import NodeSearch from './node-search.js';
+import SearchOverlay from './search-overlay.js';
+import FilterExpression from './filter-expression.js';
+import GraphAnalytics from './graph-analytics.js';
+import SizeScale from './size-scale.js';
+import NodeRenderer from './node-renderer.js';
+
+const GRAPH_ELEMENT_SELECTOR = 'network-node, network-edge, network-group';
 
 /**
  * NetworkVisualization Custom Element
  *
  * A 3D network visualization component that displays nodes and edges in an interactive
- * grid-based layout using Three.js. Supports node selection, labels, and dynamic styling.
+ * grid-based, force-directed, hierarchical or radial layout using Three.js. Supports node selection, labels,
+ * and dynamic styling.
  *
  * @class NetworkVisualization
  * @extends DataroomElement
@@ -22,10 +39,42 @@ import InteractionHandler from './interaction-handler.js';
  * 
  * @attribute {number} minimum-node-size - Minimum size multiplier for nodes (default: 1.0)
  * @attribute {number} scale - Scale factor for all nodes (default: 1.0)
- * @attribute {number} labels-zoom-level - Zoom level at which labels become visible
+ * @attribute {number} labels-zoom-level - Zoom level at which labels become visible, relative to the initial camera distance (default: 1.1)
  * @attribute {boolean} zoom-to-fit - Whether to automatically zoom camera to fit all nodes (default: false)
+ * @attribute {string} layout - Layout mode: "grid", "force", "hierarchical", "radial" or "concentric" (default: "grid")
+ * @attribute {string} rank-direction - How the hierarchical layout arranges its layers: "TB", "LR" or "radial" (default: "TB")
+ * @attribute {string} focus - ID of the node at the center of the radial and concentric layouts (default: the selected node)
+ * @attribute {string} ring-by - Metric or numeric node attribute that puts nodes on rings in the concentric layout (default: "degree")
+ * @attribute {number} transition-duration - Milliseconds that nodes take to move, appear and disappear when the layout, filter or data changes, 0 for at once (default: 800)
+ * @attribute {string} layout-storage-key - localStorage key that node coordinates are kept under, to restore them on the next load
+ * @attribute {string} transition-easing - Pace of transitions: "linear", "ease-in", "ease-out" or "ease-in-out" (default: "ease-in-out")
+ * @attribute {number} tooltip-length - Characters of node content shown in the hover tooltip, 0 for the name only (default: 100)
+ * @attribute {string} selection-mode - Shape drawn by shift-drag to select nodes, either "box" or "lasso" (default: "box")
+ * @attribute {boolean} directed - Draw arrowheads on edges that don't set their own directed attribute (default: false)
+ * @attribute {string} src - URL of a JSON, GraphML or GEXF document to load
+ * @attribute {boolean} search - Show a search box that finds nodes by name, id and content (default: false)
+ * @attribute {string} filter - Expression over node attributes, degree and groups; nodes that don't match are hidden
+ * @attribute {string} size-by - Metric (degree, betweenness, closeness or pagerank) or numeric node attribute that sizes nodes
+ * @attribute {string} size-scale - How size-by values map onto sizes: "linear", "sqrt" or "log" (default: "linear")
+ * @attribute {string} color-by - Metric that colors nodes: degree, betweenness, closeness, pagerank, component or community
  */
 class NetworkVisualization extends DataroomElement {
+  /**
+   * Adds a node shape, for the shape attribute of every visualization on the
+   * page. Register shapes before the nodes that use them are drawn
+   * 
+   * @param {string} name - The shape name
+   * @param {Function} factory - Returns a THREE.BufferGeometry about 10 units across, centered on the origin
+   * @returns {void}
+   * @throws {Error} If the name is empty or "glb", or the factory isn't a function
+   * 
+   * @example
+   * NetworkVisualization.registerShape('star', () => new THREE.OctahedronGeometry(6));
+   */
+  static registerShape(name, factory) {
+    NodeRenderer.registerShape(name, factory);
+  }
+
   /**
    * Initializes the network visualization component
    * Sets up the Three.js scene, camera, renderer, and event listeners
@@ -48,22 +97,52 @@ class NetworkVisualization extends DataroomElement {
       backgroundColor,
       minimumNodeSize
     );
+    this.graphBuilder.directed = this.hasAttribute('directed');
+    this.graphBuilder.setResolution(width, height);
     this.wireframeManager = new GroupWireframeManager(this.sceneManager.graphGroup);
+    this.graphImporter = new GraphImporter();
+    this.graphExporter = new GraphExporter();
+    this.snapshotExporter = new SnapshotExporter(this, this.sceneManager, this.graphBuilder);
+    this.labelManager = new LabelManager(this.sceneManager.camera, this);
+    this.labelsZoomLevel = parseFloat(this.getAttribute('labels-zoom-level')) || 1.1;
     this.metadataDisplay = new MetadataDisplay(this, this.create.bind(this));
+    this.nodeSearch = new NodeSearch(this.graphBuilder.graph);
+    this.graphAnalytics = new GraphAnalytics(this.graphBuilder.graph);
+    this.searchOverlay = new SearchOverlay(
+      this,
+      this.create.bind(this),
+      this.nodeSearch,
+      this.selectNodeById.bind(this)
+    );
     this.interactionHandler = new InteractionHandler(
       this.sceneManager.camera,
       this.sceneManager.scene,
       this.sceneManager.renderer.domElement,
       this.sceneManager.labelRenderer.domElement,
-      this.sceneManager
+      this.sceneManager,
+      this.graphBuilder
     );
 
     this.buildGraph();
+    if (this.hasAttribute('filter')) {
+      this.applyFilterAttribute();
+      // The graph appears filtered, rather than shrinking as it loads
+      this.finishTransition();
+    }
     this.setupInteraction();
     this.setupAttributeObserver();
+    this.setupChildObserver();
     this.setupResizeObserver();
 
-    this.sceneManager.startAnimation();
+    if (this.hasAttribute('search')) {
+      this.searchOverlay.show();
+    }
+
+    this.sceneManager.startAnimation(this.onAnimationFrame.bind(this));
+
+    if (this.hasAttribute('src')) {
+      this.loadSrc(this.getAttribute('src'));
+    }
   }
 
   /**
@@ -72,14 +151,43 @@ class NetworkVisualization extends DataroomElement {
    * @returns {void}
    */
   buildGraph() {
-    const { nodes, links, groups } = this.graphBuilder.buildFromElements(this);
-    
+    this.applyGraph(this.graphBuilder.buildFromElements(this));
+  }
+
+  /**
+   * Stores a freshly built graph and sets up its wireframes and layout
+   * 
+   * @param {Object} graph - Object containing nodes, links, and groups arrays
+   * @returns {void}
+   */
+  applyGraph({ nodes, links, groups }) {
     this.nodes = nodes;
     this.links = links;
     this.groups = groups;
 
+    this.graphBuilder.applyFilter();
+    this.applyNodeMappings();
     this.wireframeManager.createWireframes(groups);
-    this.wireframeManager.update(nodes);
+    this.wireframeManager.update(this.graph);
+    
+    const layoutPositions = this.graphBuilder.takeLayoutPositions();
+    
+    this.forceLayout = null;
+    if (this.getAttribute('layout') === 'force') {
+      // The simulation settles from where a layout put the nodes before they were exported
+      this.graphBuilder.restorePositions(layoutPositions);
+      this.startForceLayout();
+    } else if (this.arrangeNodes()) {
+      this.updatePositions();
+    }
+    
+    // Nodes go back to where they were when the page was last left, or
+    // where a layout put them before they were exported. A simulation
+    // stops for the former only, since it already started from the latter
+    const stored = this.readStoredLayout();
+    if ((stored || !this.forceLayout) && this.applyPositions({ ...stored, ...layoutPositions }) > 0) {
+      this.updatePositions();
+    }
     
     // Zoom out to fit all elements in view if zoom-to-fit attribute is present
     if (this.hasAttribute('zoom-to-fit')) {
@@ -87,6 +195,483 @@ class NetworkVisualization extends DataroomElement {
     }
   }
 
+  /**
+   * Replaces the graph with nodes, edges and groups from a plain data object
+   * 
+   * @param {Object} data - Object with nodes, edges (or links) and groups arrays
+   * @returns {void}
+   * 
+   * @example
+   * viz.setData({
+   *   nodes: [{ id: 'a', name: 'A', shape: 'cube' }, { id: 'b', name: 'B', color: 'red' }],
+   *   edges: [{ source: 'a', target: 'b', name: 'uses' }],
+   *   groups: [{ id: 'g', name: 'Group', nodeIds: ['a', 'b'] }]
+   * });
+   */
+  setData(data) {
+    this.interactionHandler.clearPath();
+    if (this.interactionHandler.getSelectedObjects().length > 0) {
+      this.interactionHandler.handleSelection(null, this.onSelectionChange.bind(this));
+    }
+    this.interactionHandler.clearHover();
+
+    this.animateChange(() => {
+      this.graphBuilder.clear();
+      this.applyGraph(this.graphBuilder.buildFromData(data));
+    });
+    this.interactionHandler.setGraph(this.nodes, this.links, this.wireframeManager.getWireframes());
+  }
+
+  /**
+   * Returns the current graph as a plain data object that setData accepts
+   * 
+   * @returns {Object} Object with nodes, edges and groups arrays
+   */
+  getData() {
+    return this.graphBuilder.toData();
+  }
+
+  /**
+   * Serializes the current graph, including layout positions, colors, shapes,
+   * group membership and content
+   * 
+   * @param {string} format - json, graphml or dot (default json)
+   * @returns {string} The serialized graph
+   * 
+   * @example
+   * const saved = viz.exportGraph('json');
+   * viz.setData(JSON.parse(saved)); // restores the same layout
+   */
+  exportGraph(format = 'json') {
+    return this.graphExporter.export({
+      nodes: this.nodes,
+      links: this.links,
+      groups: this.groups
+    }, format);
+  }
+
+  /**
+   * Renders the current view, including node labels, to an image
+   * 
+   * @param {Object} options - Snapshot options
+   * @param {string} options.format - png or svg (default png)
+   * @param {number} options.width - Width in CSS pixels (default: element width)
+   * @param {number} options.height - Height in CSS pixels (default: element height)
+   * @param {number} options.scale - Pixel density multiplier for PNG output (default 1)
+   * @returns {Promise<Blob>} The image
+   * 
+   * @example
+   * const png = await viz.toImage({ width: 1600, height: 900, scale: 2 });
+   */
+  toImage(options = {}) {
+    return this.snapshotExporter.toImage(this.getSnapshotGraph(), options);
+  }
+
+  /**
+   * Projects the current view through the camera into an SVG document
+   * 
+   * @param {Object} options - Snapshot options
+   * @param {number} options.width - Width in CSS pixels (default: element width)
+   * @param {number} options.height - Height in CSS pixels (default: element height)
+   * @returns {string} SVG markup
+   */
+  toSVG(options = {}) {
+    return this.snapshotExporter.toSVG(this.getSnapshotGraph(), options);
+  }
+
+  /**
+   * Collects the rendered objects the snapshot exporter draws
+   * 
+   * @returns {Object} Object with nodes, links and wireframes arrays
+   */
+  getSnapshotGraph() {
+    return {
+      nodes: this.nodes,
+      links: this.links,
+      wireframes: this.wireframeManager.getWireframes()
+    };
+  }
+
+  /**
+   * Loads a JSON, GraphML or GEXF graph from a document string or a URL
+   * Emits data-loaded on success and data-error on failure
+   * 
+   * @param {string} source - Document text, or the URL to fetch it from
+   * @param {string} format - Optional format: json, graphml or gexf (detected when omitted)
+   * @returns {Promise<void>} Rejects with the load or parse error
+   * 
+   * @example
+   * await viz.loadGraph('exports/network.gexf');
+   * await viz.loadGraph(graphmlString, 'graphml');
+   */
+  async loadGraph(source, format) {
+    const isDocument = /^\s*[<{]/.test(source);
+    const src = isDocument ? null : source;
+
+    // Abort an earlier request so a slow response can't replace a newer graph
+    if (this.srcController) this.srcController.abort();
+    const controller = new AbortController();
+    this.srcController = controller;
+
+    try {
+      let text = source;
+      if (!isDocument) {
+        const response = await fetch(src, { signal: controller.signal });
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        text = await response.text();
+      }
+
+      const resolvedFormat = format || this.graphImporter.detectFormat(text);
+      this.setData(this.graphImporter.parse(text, resolvedFormat));
+      this.event('data-loaded', {
+        src,
+        format: resolvedFormat,
+        nodes: this.nodes.length,
+        edges: this.links.length,
+        groups: this.groups.length
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.warn(`Could not load graph${src ? ` from "${src}"` : ''}:`, error);
+      this.event('data-error', { src, message: error.message });
+      throw error;
+    } finally {
+      if (this.srcController === controller) this.srcController = null;
+    }
+  }
+
+  /**
+   * Loads the graph document named by the src attribute
+   * Failures are reported through the data-error event
+   * 
+   * @param {string} src - URL of a JSON, GraphML or GEXF document
+   * @returns {Promise<void>}
+   */
+  async loadSrc(src) {
+    try {
+      await this.loadGraph(src);
+    } catch (error) {
+      // Already reported through the data-error event
+    }
+  }
+
+  /**
+   * Saves the coordinates of every node, for restoreLayout()
+   * 
+   * @returns {string} JSON with the coordinates by node id
+   * 
+   * @example
+   * const layout = viz.saveLayout();
+   * viz.restoreLayout(layout);
+   */
+  saveLayout() {
+    return JSON.stringify({ positions: this.graphBuilder.getPositions() });
+  }
+
+  /**
+   * Moves nodes to coordinates saved by saveLayout(). Nodes that weren't
+   * saved are placed next to their groups or neighbors, and nodes with
+   * explicit coordinates keep them
+   * 
+   * @param {string|Object} layout - The saved layout, as JSON or already parsed
+   * @returns {number} The number of nodes moved to saved coordinates
+   * @throws {Error} If the layout can't be read
+   */
+  restoreLayout(layout) {
+    const positions = parseLayout(layout);
+    let restored = 0;
+    this.animateChange(() => {
+      restored = this.applyPositions(positions);
+    });
+    return restored;
+  }
+
+  /**
+   * Moves nodes to saved coordinates, stopping a running force simulation
+   * so that they stay there
+   * 
+   * @param {Object} positions - Coordinates with x, y and z, by node id
+   * @returns {number} The number of nodes moved to saved coordinates
+   */
+  applyPositions(positions) {
+    const restored = this.graphBuilder.restorePositions(positions);
+    if (restored > 0 && this.forceLayout) this.forceLayout.stop();
+    return restored;
+  }
+
+  /**
+   * Reads the coordinates kept in localStorage under the layout-storage-key
+   * attribute
+   * 
+   * @returns {Object|null} Coordinates by node id, or null if none are kept
+   */
+  readStoredLayout() {
+    const key = this.getAttribute('layout-storage-key');
+    if (!key) return null;
+
+    try {
+      const stored = localStorage.getItem(key);
+      return stored ? parseLayout(stored) : null;
+    } catch (error) {
+      console.warn(`layout-storage-key: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Keeps the node coordinates in localStorage under the layout-storage-key
+   * attribute. Coordinates of nodes that have left the graph are kept too,
+   * for when they come back
+   * 
+   * @returns {void}
+   */
+  storeLayout() {
+    const key = this.getAttribute('layout-storage-key');
+    if (!key || !this.nodes) return;
+
+    try {
+      const positions = { ...this.readStoredLayout(), ...this.graphBuilder.getPositions() };
+      localStorage.setItem(key, JSON.stringify({ positions }));
+    } catch (error) {
+      console.warn(`layout-storage-key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Applies the layout named by the layout attribute to the current graph
+   * 
+   * @returns {void}
+   */
+  applyLayout() {
+    this.animateChange(() => {
+      if (this.getAttribute('layout') === 'force') {
+        this.startForceLayout();
+        return;
+      }
+      
+      this.forceLayout = null;
+      if (!this.arrangeNodes()) {
+        this.graphBuilder.calculateGridPositions();
+      }
+    });
+  }
+
+  /**
+   * Runs the layout named by the layout attribute, if it is one that places
+   * every node in one go
+   * 
+   * @returns {boolean} True for the hierarchical, radial and concentric layouts
+   */
+  arrangeNodes() {
+    switch (this.getAttribute('layout')) {
+      case 'hierarchical':
+        this.applyHierarchicalLayout();
+        return true;
+      case 'radial':
+      case 'concentric':
+        this.applyRadialLayout();
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Applies a change to the graph over a short animation instead of at once.
+   * Nodes travel from where they were to where the change put them, and
+   * nodes that the change added, removed, hid or showed grow or shrink
+   * 
+   * @param {Function} change - Changes the nodes, their coordinates or the filter
+   * @returns {void}
+   */
+  animateChange(change) {
+    // Starts from where a transition that is still running has got to
+    const transition = this.createTransition();
+    this.finishTransition();
+    change();
+
+    if (transition) {
+      // A running force simulation moves the nodes itself
+      transition.start(this.nodes, !this.forceLayout || !this.forceLayout.isRunning());
+      this.graphBuilder.retainNodes(transition.removed);
+      this.layoutTransition = transition;
+    } else {
+      this.storeLayout();
+    }
+    this.updatePositions();
+  }
+
+  /**
+   * Sets up a transition from the current state of the nodes, with the
+   * duration and easing named by the transition attributes
+   * 
+   * @returns {LayoutTransition|null} The transition, or null if changes apply at once
+   */
+  createTransition() {
+    if (!this.nodes) return null;
+
+    const duration = parseFloat(this.getAttribute('transition-duration'));
+    const options = { duration: Number.isFinite(duration) && duration >= 0 ? duration : 800 };
+    if (options.duration === 0) return null;
+
+    try {
+      const easing = (this.getAttribute('transition-easing') || 'ease-in-out').trim().toLowerCase();
+      return new LayoutTransition(this.nodes, { ...options, easing });
+    } catch (error) {
+      console.warn(`transition-easing: ${error.message}`);
+      return new LayoutTransition(this.nodes, options);
+    }
+  }
+
+  /**
+   * Ends the running transition, putting every node where it ends up and
+   * removing the nodes that were shrinking away
+   * 
+   * @returns {void}
+   */
+  finishTransition() {
+    if (!this.layoutTransition) return;
+
+    this.layoutTransition.finish();
+    this.layoutTransition = null;
+    this.graphBuilder.releaseNodes();
+    this.storeLayout();
+  }
+
+  /**
+   * Arranges nodes in layers along their edges, in the direction named by the
+   * rank-direction attribute
+   * 
+   * @returns {void}
+   */
+  applyHierarchicalLayout() {
+    const options = { nodeSpacing: this.graphBuilder.nodeSpacing };
+    let layout;
+    try {
+      layout = new HierarchicalLayout(this.graph, { ...options, direction: this.getAttribute('rank-direction') || 'TB' });
+    } catch (error) {
+      console.warn(error.message);
+      layout = new HierarchicalLayout(this.graph, options);
+    }
+    layout.apply();
+  }
+
+  /**
+   * Places the focus node in the middle and the other nodes on rings around
+   * it, by distance for the radial layout and by the ring-by values for the
+   * concentric layout
+   * 
+   * @returns {void}
+   */
+  applyRadialLayout() {
+    const options = { nodeSpacing: this.graphBuilder.nodeSpacing };
+    if (this.getAttribute('layout') === 'concentric') {
+      options.values = this.mapMetric('ring-by', name => this.readNodeValues(name)) ?? this.readNodeValues('degree');
+    }
+
+    const focus = this.getFocusNode();
+    this.layoutFocus = focus?.id ?? null;
+    new RadialLayout(this.graph, this.layoutFocus, options).apply();
+  }
+
+  /**
+   * Finds the node the radial and concentric layouts center on: the one named
+   * by the focus attribute, else the selected node, else the one with the
+   * most edges
+   * 
+   * @returns {Object|null} The focus node, or null if there are no nodes
+   */
+  getFocusNode() {
+    const id = this.getAttribute('focus');
+    if (id) {
+      const node = this.graph.getNode(id);
+      if (node) return node;
+      console.warn(`focus: there is no node with id "${id}"`);
+    }
+
+    const [selected] = this.interactionHandler.getSelectedNodes();
+    if (selected) return selected;
+
+    return this.graph.nodes.reduce((best, node) => (
+      !best || this.graph.degree(node.id) > this.graph.degree(best.id) ? node : best
+    ), null);
+  }
+
+  /**
+   * Starts a force-directed simulation that settles in the animation loop
+   * 
+   * @returns {void}
+   */
+  startForceLayout() {
+    this.forceLayout = new ForceLayout(this.graph, this.groups, {
+      linkDistance: this.graphBuilder.nodeSpacing
+    });
+  }
+
+  /**
+   * Runs once per rendered frame to turn image nodes to the camera, move
+   * nodes along a transition and advance the force simulation
+   * 
+   * @returns {void}
+   */
+  onAnimationFrame() {
+    this.graphBuilder.faceCamera(this.sceneManager.camera);
+    this.updateLabels();
+
+    if (this.layoutTransition) {
+      if (!this.layoutTransition.step()) this.finishTransition();
+      this.updatePositions();
+    }
+
+    if (!this.forceLayout || !this.forceLayout.isRunning()) return;
+    
+    this.forceLayout.step();
+    this.updatePositions();
+    
+    if (this.forceLayout.isRunning()) return;
+    
+    this.storeLayout();
+    // Refit once the simulation has cooled, since nodes spread out as it runs
+    if (this.hasAttribute('zoom-to-fit')) {
+      this.sceneManager.fitCameraToScene();
+    }
+  }
+
+  /**
+   * Shows or hides node labels for the current camera position
+   *
+   * @param {boolean} force - Update even if the label manager's interval hasn't passed
+   * @returns {void}
+   */
+  updateLabels(force = false) {
+    if (!this.labelManager || !this.nodes) return;
+
+    const pinned = new Set([
+      ...this.interactionHandler.getSelectedNodes(),
+      ...this.interactionHandler.getPathNodes(),
+      this.interactionHandler.hoveredNode
+    ].filter(Boolean));
+
+    this.labelManager.update(this.nodes, this.graph, {
+      zoomLevel: this.labelsZoomLevel,
+      homeDistance: this.sceneManager.homeDistance,
+      pinned,
+      force
+    });
+  }
+
+  /**
+   * Moves nodes, edges, and group wireframes to the current node coordinates
+   * 
+   * @returns {void}
+   */
+  updatePositions() {
+    this.graphBuilder.updatePositions();
+    this.wireframeManager.update(this.graph);
+  }
+
   /**
    * Sets up interaction handlers
    * 
@@ -95,9 +680,14 @@ class NetworkVisualization extends DataroomElement {
   setupInteraction() {
     this.interactionHandler.setupClickHandler(
       this.nodes,
+      this.links,
       this.wireframeManager.getWireframes(),
       this.onSelectionChange.bind(this)
     );
+    this.interactionHandler.setupHoverHandler(this.onHoverChange.bind(this));
+    this.interactionHandler.onPathRequest = this.onPathRequest.bind(this);
+    this.interactionHandler.onNodeDrag = this.onNodeDrag.bind(this);
+    this.interactionHandler.selectionMode = this.getAttribute('selection-mode') || 'box';
   }
 
   /**
@@ -107,37 +697,239 @@ class NetworkVisualization extends DataroomElement {
    * @returns {void}
    */
   onSelectionChange(selection) {
+    this.showSelection(selection);
+    if (selection && selection.mesh && !this.hasAttribute('focus') && selection.id !== this.layoutFocus) {
+      this.refocus();
+    }
+    this.updateLabels(true);
+    this.event('selection-changed', { ids: this.getSelection() });
+  }
+
+  /**
+   * Moves the radial and concentric layouts over to the current focus node
+   * and centers the view on it
+   * 
+   * @returns {void}
+   */
+  refocus() {
+    const layout = this.getAttribute('layout');
+    if (layout !== 'radial' && layout !== 'concentric') return;
+
+    this.animateChange(() => this.applyRadialLayout());
+    // The focus ends up in the middle of the graph group, wherever it was selected
+    this.sceneManager.resetScenePosition();
+  }
+
+  /**
+   * Follows a node that is being dragged and pins it where it is dropped. The
+   * pinned attribute and the coordinates are written to the node's element,
+   * so that layouts and edits keep the node there
+   * 
+   * @param {Object} node - The dragged node, already at its new coordinates
+   * @param {boolean} dropped - True once the node has been let go
+   * @returns {void}
+   */
+  onNodeDrag(node, dropped) {
+    node.fixed = true;
+    this.layoutTransition?.release(node);
+    // Neighbors keep settling around the node while it moves
+    if (this.forceLayout) this.forceLayout.restart(0.3);
+    this.updatePositions();
+    if (!dropped) return;
+
+    const coordinates = {};
+    ['x', 'y', 'z'].forEach(axis => {
+      coordinates[axis] = Math.round(node[axis] * 100) / 100;
+    });
+    Object.assign(node, coordinates, { pinned: true });
+
+    if (node.el) {
+      node.el.setAttribute('pinned', '');
+      Object.entries(coordinates).forEach(([axis, value]) => node.el.setAttribute(axis, value));
+      this.skipOwnMutations(node.el, ['pinned', ...Object.keys(coordinates)]);
+    }
+    this.storeLayout();
+    this.event('node-moved', { id: node.id, ...coordinates });
+  }
+
+  /**
+   * Highlights the path from the selected node to a node that was alt-clicked
+   * 
+   * @param {Object} source - The selected node
+   * @param {Object} target - The alt-clicked node
+   * @returns {void}
+   */
+  onPathRequest(source, target) {
+    this.highlightPath(source.id, target.id, { weighted: true });
+  }
+
+  /**
+   * Shows the metadata panel for the current selection
+   * 
+   * @param {Object|Array|null} selection - The selected object, an array of selected nodes, or null
+   * @returns {void}
+   */
+  showSelection(selection) {
     if (!selection) {
       this.metadataDisplay.clear();
       return;
     }
 
-    if (selection.mesh) {
+    if (Array.isArray(selection)) {
+      this.metadataDisplay.showSelectionMetadata(
+        selection,
+        this.graph,
+        this.selectNodeById.bind(this)
+      );
+    } else if (selection.mesh) {
       this.metadataDisplay.showNodeMetadata(
         selection,
-        this.nodes,
-        this.links,
+        this.graph,
+        this.selectNodeById.bind(this)
+      );
+    } else if (selection.line) {
+      this.metadataDisplay.showEdgeMetadata(
+        selection,
+        this.graph,
         this.selectNodeById.bind(this)
       );
     } else if (selection.wireframe) {
       this.metadataDisplay.showGroupMetadata(
         selection,
-        this.nodes,
+        this.graph,
         this.selectNodeById.bind(this)
       );
     }
   }
 
+  /**
+   * Shows a tooltip for the hovered node and emits node-hover and node-hover-end
+   * 
+   * @param {Object|null} node - The hovered node or null
+   * @param {Object|null} previous - The previously hovered node or null
+   * @param {Object|null} pointer - Pointer position in client coordinates
+   * @returns {void}
+   */
+  onHoverChange(node, previous, pointer) {
+    this.hideTooltip();
+
+    if (previous) {
+      this.event('node-hover-end', { id: previous.id, name: previous.name });
+    }
+
+    if (node) {
+      this.showTooltip(node, pointer);
+      this.event('node-hover', { id: node.id, name: node.name, content: node.content });
+    }
+
+    this.updateLabels(true);
+  }
+
+  /**
+   * Shows a tooltip with a node's name and the start of its content
+   * 
+   * @param {Object} node - The hovered node
+   * @param {Object} pointer - Pointer position in client coordinates
+   * @returns {void}
+   */
+  showTooltip(node, pointer) {
+    const length = parseInt(this.getAttribute('tooltip-length'), 10);
+    const maxLength = Number.isFinite(length) ? length : 100;
+
+    const tooltip = this.create('div', { class: 'node-tooltip' });
+    const title = this.create('div', { class: 'node-tooltip-title' }, tooltip);
+    title.textContent = node.name || node.id;
+
+    const text = this.nodeSearch.getText(node, 'content');
+    if (maxLength > 0 && text.length > 0) {
+      const snippet = this.create('div', { class: 'node-tooltip-content' }, tooltip);
+      snippet.textContent = text.length > maxLength ? `${text.slice(0, maxLength).trimEnd()}…` : text;
+    }
+
+    if (pointer) {
+      const rect = this.getBoundingClientRect();
+      tooltip.style.left = `${pointer.x - rect.left}px`;
+      tooltip.style.top = `${pointer.y - rect.top}px`;
+    }
+
+    this.tooltip = tooltip;
+  }
+
+  /**
+   * Removes the hover tooltip
+   * 
+   * @returns {void}
+   */
+  hideTooltip() {
+    if (this.tooltip) {
+      this.tooltip.remove();
+      this.tooltip = null;
+    }
+  }
+
+  /**
+   * The graph model, for looking up nodes and their connections
+   * 
+   * @returns {GraphModel} The model with getNode(id), neighbors(id), degree(id), edgesOf(id), groupsOf(id) and membersOf(group)
+   * 
+   * @example
+   * viz.graph.neighbors('alice'); // ['bob', 'carol']
+   * viz.graph.degree('alice');    // 2
+   */
+  get graph() {
+    return this.graphBuilder.graph;
+  }
+
+  /**
+   * Centralities, components and communities of the graph, computed when
+   * first read and cached until the graph changes
+   * 
+   * @returns {GraphAnalytics} The analytics with getValues(metric), getValue(metric, id) and the metric methods
+   * 
+   * @example
+   * viz.analytics.getValue('pagerank', 'alice'); // 0.12
+   * viz.analytics.getValues('community');        // Map { 'alice' => 0, 'bob' => 0, 'carol' => 1 }
+   */
+  get analytics() {
+    return this.graphAnalytics;
+  }
+
+  /**
+   * Returns the ids of the selected nodes
+   * 
+   * @returns {Array<string>} Selected node ids, empty if an edge, a group or nothing is selected
+   */
+  getSelection() {
+    return this.interactionHandler.getSelectedNodes().map(node => node.id);
+  }
+
+  /**
+   * Selects the nodes with the given ids, replacing the current selection
+   * 
+   * @param {Array<string>} ids - Node ids to select, unknown ids and nodes hidden by the filter are ignored
+   * @returns {Array<string>} The ids that were selected
+   * 
+   * @example
+   * viz.setSelection(['alice', 'bob']);
+   */
+  setSelection(ids) {
+    const wanted = new Set(ids.map(String));
+    const nodes = this.nodes.filter(node => wanted.has(node.id) && !node.hidden);
+
+    this.interactionHandler.setSelectedNodes(nodes, this.onSelectionChange.bind(this));
+    return nodes.map(node => node.id);
+  }
+
   /**
    * Selects a node by its ID
    * 
    * @param {string} id - The ID of the node to select
-   * @returns {boolean} Returns true if node was found and selected
+   * @returns {boolean} Returns true if node was found and selected, false if it doesn't exist or is hidden by the filter
    */
   selectNodeById(id) {
-    const node = this.nodes.find(n => n.id === id);
+    const node = this.graph.getNode(id);
     
-    if (node) {
+    if (node && !node.hidden) {
       this.interactionHandler.handleSelection(
         node, 
         this.onSelectionChange.bind(this)
@@ -148,6 +940,184 @@ class NetworkVisualization extends DataroomElement {
     return false;
   }
 
+  /**
+   * Finds the nodes whose name, id or text content match a query
+   * 
+   * @param {string} query - Text to look for, case insensitive and fuzzy
+   * @param {Object} options - Search options
+   * @param {Array<string>} options.fields - Fields to match, any of name, id and content (default all three)
+   * @returns {Array<string>} IDs of the matching nodes, best match first
+   * 
+   * @example
+   * const [id] = viz.findNodes('ali', { fields: ['name'] });
+   * viz.selectNodeById(id);
+   */
+  findNodes(query, options = {}) {
+    return this.nodeSearch.find(query, { fields: options.fields });
+  }
+
+  /**
+   * Highlights the shortest path between two nodes, dims the rest of the
+   * graph, fits the camera to the path and lists it in the metadata panel.
+   * The path stays highlighted until the selection or the graph changes
+   * 
+   * @param {string} sourceId - ID of the node the path starts at
+   * @param {string} targetId - ID of the node the path ends at
+   * @param {Object} options - Path options
+   * @param {boolean} options.weighted - Add up the edges' weight attributes instead of counting edges (default false)
+   * @param {boolean} options.directed - Only follow edges from their source to their target (default false)
+   * @returns {Array<string>|null} IDs of the nodes on the path in order, or null if there is none
+   * 
+   * @example
+   * viz.highlightPath('alice', 'dave', { weighted: true }); // ['alice', 'bob', 'dave']
+   */
+  highlightPath(sourceId, targetId, options = {}) {
+    sourceId = String(sourceId);
+    targetId = String(targetId);
+    const path = this.graph.shortestPath(sourceId, targetId, options);
+
+    if (!path) {
+      this.clearPath();
+      this.metadataDisplay.showPathMetadata(sourceId, targetId, null, this.graph, this.selectNodeById.bind(this));
+      return null;
+    }
+
+    const nodes = path.nodes.map(id => this.graph.getNode(id));
+    this.interactionHandler.showPath(nodes, path.links);
+
+    // Edges arc away from the straight line between their nodes, so fit the arcs too
+    const points = nodes.concat(path.links.flatMap(link => link.points || []));
+    this.sceneManager.fitCameraToPoints(points, this.graphBuilder.nodeSpacing / 2);
+
+    this.metadataDisplay.showPathMetadata(sourceId, targetId, path, this.graph, this.selectNodeById.bind(this));
+    this.updateLabels(true);
+    return path.nodes;
+  }
+
+  /**
+   * Removes the path highlight and shows the selection's metadata again
+   * 
+   * @returns {void}
+   */
+  clearPath() {
+    if (!this.interactionHandler.path) return;
+
+    this.restoreSelection();
+    this.updateLabels(true);
+  }
+
+  /**
+   * Hides the nodes that don't pass a filter, along with their labels and
+   * edges, and shrinks group wireframes to the remaining members
+   * 
+   * @param {Function|string|null} filter - A function called with each node and viz.graph that returns true to keep the node,
+   *   an expression in the syntax of the filter attribute, or null to show everything
+   * @returns {void}
+   * @throws {Error} If an expression can't be parsed
+   * 
+   * @example
+   * viz.setFilter(node => node.shape !== 'sphere');
+   * viz.setFilter('degree >= 2 and groups = "Backend Team"');
+   * viz.setFilter(null);
+   */
+  setFilter(filter) {
+    let predicate = null;
+    if (typeof filter === 'function') {
+      predicate = filter;
+    } else if (typeof filter === 'string' && filter.trim() !== '') {
+      const expression = new FilterExpression(filter);
+      predicate = (node, graph) => expression.test(node, graph);
+    }
+
+    this.interactionHandler.clearHover();
+    this.animateChange(() => this.graphBuilder.setFilter(predicate));
+    this.restoreSelection();
+    this.updateLabels(true);
+  }
+
+  /**
+   * Applies the expression in the filter attribute, showing everything if it
+   * can't be parsed
+   * 
+   * @returns {void}
+   */
+  applyFilterAttribute() {
+    try {
+      this.setFilter(this.getAttribute('filter'));
+    } catch (error) {
+      console.warn(error.message);
+      this.setFilter(null);
+    }
+  }
+
+  /**
+   * Sizes and colors nodes by the metrics or attributes named in the size-by
+   * and color-by attributes, warning about ones that can't be used
+   * 
+   * @returns {void}
+   */
+  applyNodeMappings() {
+    const sizes = this.mapMetric('size-by', name => {
+      const scale = new SizeScale((this.getAttribute('size-scale') || 'linear').trim().toLowerCase());
+      return scale.map(this.readNodeValues(name));
+    });
+    const colors = this.mapMetric('color-by', metric => this.analytics.getColors(metric.toLowerCase()));
+
+    if (this.graphBuilder.setNodeSizes(sizes)) {
+      this.updatePositions();
+    }
+    this.graphBuilder.setNodeColors(colors);
+    // The mapped colors replace highlights, so highlight the selection and path again
+    this.interactionHandler.refreshDimming();
+  }
+
+  /**
+   * Maps the metric named in an attribute onto nodes
+   * 
+   * @param {string} attribute - size-by or color-by
+   * @param {Function} mapping - Called with the metric name, returns values by node id
+   * @returns {Map|null} The values, or null if the attribute is missing or names a metric that can't be used
+   */
+  mapMetric(attribute, mapping) {
+    const metric = (this.getAttribute(attribute) || '').trim();
+    if (!metric) return null;
+
+    try {
+      return mapping(metric);
+    } catch (error) {
+      console.warn(`${attribute}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Reads a numeric metric or node attribute for every node
+   * 
+   * @param {string} name - A metric name, or the name of a numeric node attribute
+   * @returns {Map<string, number>} Values by node id, without nodes that don't set the attribute
+   * @throws {Error} If the metric isn't numeric, or no node sets the attribute to a number
+   */
+  readNodeValues(name) {
+    const metric = name.toLowerCase();
+    if (this.analytics.hasMetric(metric)) {
+      if (this.analytics.isCategorical(metric)) {
+        throw new Error(`"${metric}" numbers groups of nodes rather than measuring them`);
+      }
+      return this.analytics.getValues(metric);
+    }
+
+    const values = new Map();
+    this.graph.nodesById.forEach((node, id) => {
+      const value = parseFloat(node[name] ?? node.data?.[name]);
+      if (Number.isFinite(value)) values.set(id, value);
+    });
+
+    if (values.size === 0 && this.graph.nodesById.size > 0) {
+      throw new Error(`No node has a numeric "${name}" attribute`);
+    }
+    return values;
+  }
+
   /**
    * Sets up attribute change observer for dynamic updates
    * 
@@ -157,13 +1127,206 @@ class NetworkVisualization extends DataroomElement {
     this.on('NODE-CHANGED', (detail) => {
       if (detail.attribute === 'scale') {
         const newScale = parseFloat(detail.newValue) || 1.0;
-        this.nodes.forEach(node => {
-          if (node.group) {
-            node.group.scale.set(newScale, newScale, newScale);
-          }
-        });
+        this.graphBuilder.setNodeScale(newScale);
+      } else if (detail.attribute === 'labels-zoom-level') {
+        this.labelsZoomLevel = parseFloat(detail.newValue) || 1.1;
+        this.updateLabels(true);
+      } else if (detail.attribute === 'layout') {
+        this.applyLayout();
+      } else if (detail.attribute === 'rank-direction') {
+        if (this.getAttribute('layout') === 'hierarchical') this.applyLayout();
+      } else if (detail.attribute === 'focus' || detail.attribute === 'ring-by') {
+        this.refocus();
+      } else if (detail.attribute === 'layout-storage-key') {
+        const stored = this.readStoredLayout();
+        if (stored) {
+          this.animateChange(() => this.applyPositions(stored));
+        } else {
+          this.storeLayout();
+        }
+      } else if (detail.attribute === 'selection-mode') {
+        this.interactionHandler.selectionMode = detail.newValue || 'box';
+      } else if (detail.attribute === 'directed') {
+        this.graphBuilder.setDirected(this.hasAttribute('directed'));
+        this.restoreSelection();
+      } else if (detail.attribute === 'src' && detail.newValue) {
+        this.loadSrc(detail.newValue);
+      } else if (detail.attribute === 'filter') {
+        this.applyFilterAttribute();
+      } else if (['size-by', 'size-scale', 'color-by'].includes(detail.attribute)) {
+        this.applyNodeMappings();
+      } else if (detail.attribute === 'search') {
+        if (this.hasAttribute('search')) {
+          this.searchOverlay.show();
+        } else {
+          this.searchOverlay.hide();
+        }
+      }
+    });
+  }
+
+  /**
+   * Watches network-node, network-edge and network-group children so that
+   * added, removed and edited elements are applied to the graph incrementally
+   * 
+   * @returns {void}
+   */
+  setupChildObserver() {
+    this.childObserver = new MutationObserver(this.onChildMutations.bind(this));
+    // Attributes are observed per graph element, since the label renderer
+    // rewrites label styles inside this element on every frame
+    this.childObserver.observe(this, { childList: true, characterData: true, subtree: true });
+    this.querySelectorAll(GRAPH_ELEMENT_SELECTOR).forEach(el => {
+      this.childObserver.observe(el, { attributes: true });
+    });
+  }
+
+  /**
+   * Drops the pending records of attributes the component wrote itself, so
+   * that writing back a node's state doesn't lay out the graph again. Any
+   * other pending records are applied as usual
+   * 
+   * @param {HTMLElement} el - The element that was written to
+   * @param {Array<string>} names - Names of the attributes that were written
+   * @returns {void}
+   */
+  skipOwnMutations(el, names) {
+    if (!this.childObserver) return;
+
+    const mutations = this.childObserver.takeRecords().filter(mutation =>
+      mutation.type !== 'attributes' || mutation.target !== el || !names.includes(mutation.attributeName)
+    );
+    if (mutations.length > 0) this.onChildMutations(mutations);
+  }
+
+  /**
+   * Applies a batch of DOM mutations to the graph without rebuilding it
+   * 
+   * @param {Array<MutationRecord>} mutations - Records from the child observer
+   * @returns {void}
+   */
+  onChildMutations(mutations) {
+    const { added, removed, changed } = this.collectGraphMutations(mutations);
+    if (added.size === 0 && removed.size === 0 && changed.size === 0) return;
+
+    this.interactionHandler.clearHover();
+    this.animateChange(() => {
+      removed.forEach(el => this.graphBuilder.removeElement(el));
+      added.forEach(el => {
+        this.graphBuilder.addElement(el);
+        this.childObserver.observe(el, { attributes: true });
+      });
+      changed.forEach(el => this.graphBuilder.updateElement(el));
+      // Edits can change degrees and groups, so test every node again
+      this.graphBuilder.applyFilter();
+      this.applyNodeMappings();
+
+      this.wireframeManager.syncWireframes(this.groups);
+
+      if (this.forceLayout) {
+        this.forceLayout.restart(0.5);
+      } else {
+        // Edges decide the layers and rings, so any edit can move every node
+        this.arrangeNodes();
+      }
+    });
+    this.restoreSelection();
+  }
+
+  /**
+   * Sorts mutation records into added, removed and changed graph elements
+   * 
+   * @param {Array<MutationRecord>} mutations - Records from the child observer
+   * @returns {Object} Sets of added, removed and changed elements
+   */
+  collectGraphMutations(mutations) {
+    const added = new Set();
+    const removed = new Set();
+    const changed = new Set();
+
+    /**
+     * Collects graph elements in a subtree of added or removed nodes
+     */
+    const collect = (domNode, target) => {
+      if (domNode.nodeType !== Node.ELEMENT_NODE) return;
+      if (domNode.matches(GRAPH_ELEMENT_SELECTOR)) target.add(domNode);
+      domNode.querySelectorAll(GRAPH_ELEMENT_SELECTOR).forEach(el => target.add(el));
+    };
+
+    mutations.forEach(mutation => {
+      if (mutation.type === 'childList') {
+        mutation.addedNodes.forEach(domNode => collect(domNode, added));
+        mutation.removedNodes.forEach(domNode => collect(domNode, removed));
+      }
+
+      // Attribute and content edits belong to the closest graph element
+      const target = mutation.target.nodeType === Node.ELEMENT_NODE
+        ? mutation.target
+        : mutation.target.parentElement;
+      const owner = target && target !== this ? target.closest(GRAPH_ELEMENT_SELECTOR) : null;
+      if (owner && this.contains(owner)) changed.add(owner);
+    });
+
+    // Elements that were moved within the component are neither added nor removed
+    removed.forEach(el => {
+      if (this.contains(el)) {
+        removed.delete(el);
+        added.delete(el);
       }
     });
+    added.forEach(el => {
+      if (!this.contains(el)) added.delete(el);
+      changed.delete(el);
+    });
+
+    return { added, removed, changed };
+  }
+
+  /**
+   * Keeps the current selection after an incremental update, dropping
+   * selected nodes and edges that were removed or hidden by the filter.
+   * A highlighted path may no longer exist, so it is removed
+   * 
+   * @returns {void}
+   */
+  restoreSelection() {
+    if (this.interactionHandler.path) {
+      this.interactionHandler.clearPath();
+      this.metadataDisplay.clear();
+    }
+
+    const selectedNodes = this.interactionHandler.getSelectedNodes();
+    if (selectedNodes.length > 1) {
+      const remaining = selectedNodes.filter(node => this.nodes.includes(node) && !node.hidden);
+
+      if (remaining.length < selectedNodes.length) {
+        this.interactionHandler.setSelectedNodes(remaining, this.onSelectionChange.bind(this));
+      } else {
+        remaining.forEach(node => this.interactionHandler.highlight(node));
+        this.showSelection(remaining);
+      }
+      return;
+    }
+
+    const selected = this.interactionHandler.getSelectedObject();
+    if (!selected) return;
+
+    let stillExists;
+    if (selected.mesh) {
+      stillExists = this.nodes.includes(selected) && !selected.hidden;
+    } else if (selected.source !== undefined) {
+      stillExists = this.links.includes(selected) && selected.line !== null;
+    } else {
+      stillExists = this.wireframeManager.getWireframes().some(w => w.mesh === selected.wireframe);
+    }
+
+    if (!stillExists) {
+      this.interactionHandler.handleSelection(null, this.onSelectionChange.bind(this));
+      return;
+    }
+
+    this.interactionHandler.highlight(selected);
+    this.showSelection(selected);
   }
 
   /**
@@ -184,6 +1347,7 @@ class NetworkVisualization extends DataroomElement {
         if (this._resizeRaf) cancelAnimationFrame(this._resizeRaf);
         this._resizeRaf = requestAnimationFrame(() => {
           this.sceneManager.resize(width, height);
+          this.graphBuilder.setResolution(width, height);
         });
       }
     });
@@ -196,10 +1360,43 @@ class NetworkVisualization extends DataroomElement {
    * @returns {void}
    */
   disconnect() {
+    if (this.srcController) this.srcController.abort();
+    this.interactionHandler.clearHover();
+    this.searchOverlay.hide();
     this.resizeObserver.disconnect();
+    this.childObserver.disconnect();
     this.sceneManager.dispose();
     this.wireframeManager.removeAll();
   }
 }
 
+/**
+ * Reads the node coordinates of a layout saved by saveLayout(), skipping
+ * nodes without three numeric coordinates
+ * 
+ * @param {string|Object} layout - The saved layout, as JSON or already parsed
+ * @returns {Object} Coordinates with x, y and z, by node id
+ * @throws {Error} If the layout isn't JSON or has no positions
+ */
+function parseLayout(layout) {
+  let data = layout;
+  if (typeof layout === 'string') {
+    try {
+      data = JSON.parse(layout);
+    } catch (error) {
+      throw new Error(`Invalid layout: ${error.message}`);
+    }
+  }
+  if (!data || typeof data.positions !== 'object' || data.positions === null) {
+    throw new Error('Invalid layout: expected an object with positions');
+  }
+
+  const positions = {};
+  Object.entries(data.positions).forEach(([id, position]) => {
+    const [x, y, z] = ['x', 'y', 'z'].map(axis => Number(position?.[axis]));
+    if ([x, y, z].every(Number.isFinite)) positions[id] = { x, y, z };
+  });
+  return positions;
+}
+
 customElements.define('network-visualization', NetworkVisualization);
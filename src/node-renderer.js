@@ -0,0 +1,500 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import InstancePool from './instance-pool.js';
+
+/**
+ * Radius of the sphere, pyramid and torus shapes before nodes are scaled
+ */
+const BASE_SIZE = 5;
+
+/**
+ * Height of the cube and pyramid shapes, images and models before nodes are scaled
+ */
+const BASE_HEIGHT = 10;
+
+/**
+ * Tube radius of the torus shape
+ */
+const BASE_RADIUS = 2;
+
+/**
+ * Geometry factories added with registerShape(), by shape name
+ */
+const SHAPE_FACTORIES = new Map();
+
+/**
+ * NodeRenderer
+ *
+ * Draws nodes as instances, with one InstancedMesh for every combination of
+ * shape and wireframe style, so that large graphs take a handful of draw calls
+ * instead of one per node. Nodes with an image share a mesh per image, whose
+ * instances are turned to face the camera. Each node keeps a reference to the
+ * mesh it is drawn in as node.mesh, and is drawn at its own size,
+ * node.sizeScale, on top of the overall scale.
+ *
+ * @class NodeRenderer
+ */
+export default class NodeRenderer {
+  /**
+   * Adds a shape that nodes can use by name. The factory is called once for
+   * every mesh that draws the shape, and returns a geometry about 10 units
+   * across, centered on the origin. A built-in shape with the same name is
+   * replaced
+   *
+   * @param {string} name - The shape name, as used in the shape attribute
+   * @param {Function} factory - Returns a THREE.BufferGeometry
+   * @returns {void}
+   * @throws {Error} If the name or factory is invalid
+   */
+  static registerShape(name, factory) {
+    if (typeof name !== 'string' || name === '') {
+      throw new Error('Shape name must be a non-empty string');
+    }
+    if (name === 'glb') {
+      throw new Error('The "glb" shape is reserved for models loaded from the model attribute');
+    }
+    if (typeof factory !== 'function') {
+      throw new Error(`Shape "${name}" needs a factory function that returns a BufferGeometry`);
+    }
+    SHAPE_FACTORIES.set(name, factory);
+  }
+
+  /**
+   * Creates a new NodeRenderer instance
+   *
+   * @param {THREE.Object3D} parent - The object node meshes are added to
+   * @param {number} minimumNodeSize - Smallest size a node is drawn at, as a multiple of its shape's base size
+   */
+  constructor(parent, minimumNodeSize = 1.0) {
+    this.parent = parent;
+    this.minimumNodeSize = minimumNodeSize;
+    this.scale = 1;
+    this.pools = new Map();
+    this.imagePools = new Set();
+    this.models = new Map();
+    this.matrix = new THREE.Matrix4();
+    this.position = new THREE.Vector3();
+    this.scaling = new THREE.Vector3();
+    this.facing = new THREE.Quaternion();
+    this.unrotated = new THREE.Quaternion();
+  }
+
+  /**
+   * Adds a node as an instance of its shape's mesh
+   *
+   * @param {Object} node - The node object with x, y, z, shape, wireframe, color, and optionally image and model
+   * @returns {void}
+   */
+  add(node) {
+    const key = this.getPoolKey(node);
+    if (!this.pools.has(key)) {
+      this.pools.set(key, this.createPool(node));
+    }
+
+    const pool = this.pools.get(key);
+    const mesh = pool.mesh;
+    pool.add(node);
+
+    // The pool swaps in a bigger mesh when it fills up
+    if (pool.mesh !== mesh) {
+      this.updateMeshes(pool);
+    } else {
+      node.mesh = pool.mesh;
+    }
+
+    this.setPosition(node);
+    pool.setColor(node, node.color);
+  }
+
+  /**
+   * Names the pool a node is drawn by
+   *
+   * @param {Object} node - The node object
+   * @returns {string} The image URL, or the shape, model URL and wireframe style
+   */
+  getPoolKey(node) {
+    if (node.image) return `image:${node.image}`;
+    if (node.shape === 'glb') return `glb:${node.model}:${node.wireframe}`;
+    return `${node.shape}:${node.wireframe}`;
+  }
+
+  /**
+   * Creates the pool that draws a node's shape, image or model, and starts
+   * loading the image or model
+   *
+   * @param {Object} node - The first node drawn by the pool
+   * @returns {InstancePool} The new pool
+   */
+  createPool(node) {
+    if (node.image) {
+      // Hidden until the image has loaded, rather than drawn as a blank square
+      const material = new THREE.MeshBasicMaterial({ side: THREE.DoubleSide, alphaTest: 0.05, visible: false });
+      const pool = new InstancePool(this.parent, new THREE.PlaneGeometry(BASE_HEIGHT, BASE_HEIGHT), material);
+      this.imagePools.add(pool);
+      this.loadImage(pool, node.image);
+      return pool;
+    }
+
+    const material = new THREE.MeshBasicMaterial({ wireframe: node.wireframe });
+    const pool = new InstancePool(this.parent, this.createGeometry(node.shape), material);
+    if (node.shape === 'glb') {
+      this.loadModel(pool, node.model);
+    }
+    return pool;
+  }
+
+  /**
+   * Loads an image into an image pool's material, sizing the pool's plane to
+   * the image's aspect ratio
+   *
+   * @param {InstancePool} pool - The pool that draws the image
+   * @param {string} url - Image URL or data URI
+   * @returns {void}
+   */
+  loadImage(pool, url) {
+    new THREE.TextureLoader().load(url, (texture) => {
+      if (!this.isActive(pool)) {
+        texture.dispose();
+        return;
+      }
+
+      texture.colorSpace = THREE.SRGBColorSpace;
+      const { width, height } = texture.image;
+      if (width && height && width !== height) {
+        const aspect = width / height;
+        this.setGeometry(pool, aspect > 1
+          ? new THREE.PlaneGeometry(BASE_HEIGHT, BASE_HEIGHT / aspect)
+          : new THREE.PlaneGeometry(BASE_HEIGHT * aspect, BASE_HEIGHT));
+      }
+
+      pool.material.map = texture;
+      pool.material.visible = true;
+      pool.material.needsUpdate = true;
+    }, undefined, () => {
+      console.warn(`Couldn't load node image "${url}", drawing a square instead`);
+      pool.material.visible = true;
+    });
+  }
+
+  /**
+   * Loads a GLB model and swaps it in for the placeholder shape a model pool
+   * is drawn with until then
+   *
+   * @param {InstancePool} pool - The pool that draws the model
+   * @param {string|null} url - URL of the .glb file
+   * @returns {void}
+   */
+  loadModel(pool, url) {
+    if (!url) {
+      console.warn('Nodes with shape "glb" need a model attribute with the URL of a .glb file');
+      return;
+    }
+
+    // Every wireframe style of a model shares one download
+    if (!this.models.has(url)) {
+      this.models.set(url, new GLTFLoader().loadAsync(url).then(gltf => mergeModel(gltf.scene)));
+    }
+
+    this.models.get(url)
+      .then((geometry) => {
+        if (this.isActive(pool)) this.setGeometry(pool, geometry.clone());
+      })
+      .catch((error) => {
+        console.warn(`Couldn't load node model "${url}": ${error.message}`);
+      });
+  }
+
+  /**
+   * Checks whether a pool still draws nodes, since images and models can
+   * finish loading after their nodes were removed
+   *
+   * @param {InstancePool} pool - The pool
+   * @returns {boolean} True if the pool is in use
+   */
+  isActive(pool) {
+    return [...this.pools.values()].includes(pool);
+  }
+
+  /**
+   * Replaces the geometry of a pool and points its nodes at the new mesh
+   *
+   * @param {InstancePool} pool - The pool
+   * @param {THREE.BufferGeometry} geometry - The new geometry
+   * @returns {void}
+   */
+  setGeometry(pool, geometry) {
+    pool.setGeometry(geometry);
+    this.updateMeshes(pool);
+  }
+
+  /**
+   * Points every node of a pool at the pool's current mesh
+   *
+   * @param {InstancePool} pool - The pool
+   * @returns {void}
+   */
+  updateMeshes(pool) {
+    pool.items.forEach(item => { item.mesh = pool.mesh; });
+  }
+
+  /**
+   * Removes a node's instance
+   *
+   * @param {Object} node - The node object
+   * @returns {void}
+   */
+  remove(node) {
+    const [key, pool] = this.findPool(node);
+    if (!pool) return;
+
+    pool.remove(node);
+    node.mesh = null;
+
+    if (pool.items.length === 0) {
+      pool.dispose();
+      this.pools.delete(key);
+      this.imagePools.delete(pool);
+    }
+  }
+
+  /**
+   * Finds the pool that draws a node
+   *
+   * @param {Object} node - The node object
+   * @returns {Array} The pool's key and the pool, or an empty array
+   */
+  findPool(node) {
+    for (const entry of this.pools) {
+      if (entry[1].has(node)) return entry;
+    }
+    return [];
+  }
+
+  /**
+   * Creates the geometry for a node shape. Models are drawn as pyramids
+   * until they have loaded
+   *
+   * @param {string} shape - Shape name (cube, box, square, sphere, pyramid, torus or a registered shape)
+   * @returns {THREE.BufferGeometry} The node geometry
+   */
+  createGeometry(shape) {
+    // Geometries have the base size, nodes are scaled from it in setPosition()
+    if (SHAPE_FACTORIES.has(shape)) {
+      try {
+        const geometry = SHAPE_FACTORIES.get(shape)();
+        if (geometry && geometry.isBufferGeometry) return geometry;
+        console.warn(`Shape "${shape}" didn't return a BufferGeometry, drawing a pyramid instead`);
+      } catch (error) {
+        console.warn(`Shape "${shape}" failed, drawing a pyramid instead: ${error.message}`);
+      }
+    }
+
+    switch(shape) {
+      case 'cube':
+      case 'box':
+      case 'square':
+        return new THREE.BoxGeometry(BASE_HEIGHT, BASE_HEIGHT, BASE_HEIGHT);
+      case 'sphere':
+        return new THREE.SphereGeometry(BASE_SIZE, 4, 4);
+      case 'pyramid':
+        return new THREE.ConeGeometry(BASE_SIZE, BASE_HEIGHT, 3);
+      case 'torus':
+        return new THREE.TorusGeometry(BASE_SIZE, BASE_RADIUS, 4, 4);
+      default:
+        return new THREE.ConeGeometry(BASE_SIZE, BASE_HEIGHT, 3);
+    }
+  }
+
+  /**
+   * Moves a node's instance to the node's current coordinates
+   *
+   * @param {Object} node - The node object
+   * @returns {void}
+   */
+  setPosition(node) {
+    const [, pool] = this.findPool(node);
+    if (!pool) return;
+
+    // Hidden nodes shrink to nothing, so they are neither drawn nor hit by
+    // raycasts. Nodes growing or shrinking in a transition are partly scaled
+    const appearance = node.appearance ?? (node.hidden ? 0 : 1);
+    const scale = appearance * this.getScale(node);
+    const rotation = this.imagePools.has(pool) ? this.facing : this.unrotated;
+    this.matrix.compose(this.position.set(node.x, node.y, node.z), rotation, this.scaling.setScalar(scale));
+    pool.setMatrix(node, this.matrix);
+  }
+
+  /**
+   * Turns image nodes to face the camera. Their instances are rotated rather
+   * than turned in a shader, so that raycasts hit them where they are drawn
+   *
+   * @param {THREE.Camera} camera - The camera
+   * @returns {void}
+   */
+  faceCamera(camera) {
+    if (this.imagePools.size === 0) return;
+
+    const facing = this.parent.getWorldQuaternion(new THREE.Quaternion())
+      .invert()
+      .multiply(camera.getWorldQuaternion(new THREE.Quaternion()));
+    if (facing.angleTo(this.facing) < 1e-4) return;
+
+    this.facing.copy(facing);
+    this.imagePools.forEach(pool => pool.items.forEach(node => this.setPosition(node)));
+  }
+
+  /**
+   * Works out how much a node is scaled from its shape's base size
+   *
+   * @param {Object} node - The node object
+   * @returns {number} The node's size, no smaller than the minimum node size, times the overall scale
+   */
+  getScale(node) {
+    return this.scale * Math.max(node.sizeScale ?? 1, this.minimumNodeSize);
+  }
+
+  /**
+   * Moves every node's instance to its node's current coordinates
+   *
+   * @param {Array|Set} nodes - Node objects
+   * @returns {void}
+   */
+  setPositions(nodes) {
+    nodes.forEach(node => this.setPosition(node));
+  }
+
+  /**
+   * Changes the size of every node
+   *
+   * @param {number} scale - Scale factor for all nodes
+   * @param {Array} nodes - Array of node objects
+   * @returns {void}
+   */
+  setScale(scale, nodes) {
+    this.scale = scale;
+    this.setPositions(nodes);
+  }
+
+  /**
+   * Sets the color of a node's instance without changing the node's color
+   *
+   * @param {Object} node - The node object
+   * @param {THREE.Color|string|number} color - The color to draw the node with
+   * @returns {void}
+   */
+  setColor(node, color) {
+    const [, pool] = this.findPool(node);
+    if (pool) pool.setColor(node, color);
+  }
+
+  /**
+   * Reads the color a node is currently drawn with
+   *
+   * @param {Object} node - The node object
+   * @returns {THREE.Color} The color
+   */
+  getColor(node) {
+    const [, pool] = this.findPool(node);
+    return pool ? pool.getColor(node) : new THREE.Color(node.color);
+  }
+
+  /**
+   * Sets the opacity of a node's instance
+   *
+   * @param {Object} node - The node object
+   * @param {number} opacity - Opacity from 0 to 1
+   * @returns {void}
+   */
+  setOpacity(node, opacity) {
+    const [, pool] = this.findPool(node);
+    if (pool) pool.setOpacity(node, opacity);
+  }
+
+  /**
+   * Reads the opacity a node is currently drawn with
+   *
+   * @param {Object} node - The node object
+   * @returns {number} Opacity from 0 to 1
+   */
+  getOpacity(node) {
+    const [, pool] = this.findPool(node);
+    return pool ? pool.getOpacity(node) : 1;
+  }
+
+  /**
+   * Measures the radius of the sphere around a node's shape
+   *
+   * @param {Object} node - The node object
+   * @returns {number} Radius in world units, including the node's scale
+   */
+  getRadius(node) {
+    const [, pool] = this.findPool(node);
+    if (!pool) return 0;
+
+    if (!pool.geometry.boundingSphere) pool.geometry.computeBoundingSphere();
+    return pool.geometry.boundingSphere.radius * this.getScale(node);
+  }
+
+  /**
+   * Finds the node hit by a raycast
+   *
+   * @param {Object} intersection - Raycaster intersection
+   * @returns {Object|null} The node, or null if the intersection isn't a visible node
+   */
+  getNode(intersection) {
+    for (const pool of this.pools.values()) {
+      if (pool.mesh !== intersection.object) continue;
+      const node = pool.getItem(intersection.instanceId);
+      // Hidden nodes are still showing while they shrink away, but can't be picked
+      return node && !node.hidden ? node : null;
+    }
+    return null;
+  }
+
+  /**
+   * Lists the instanced meshes, for raycasting
+   *
+   * @returns {Array<THREE.InstancedMesh>} One mesh per shape and wireframe style
+   */
+  getMeshes() {
+    return [...this.pools.values()].map(pool => pool.mesh);
+  }
+}
+
+/**
+ * Merges the meshes of a model into one geometry for instancing, centered on
+ * the origin with its longest side at the base height. Only positions are
+ * kept, since instances are drawn in their node's color
+ *
+ * @param {THREE.Object3D} scene - The loaded model
+ * @returns {THREE.BufferGeometry} The merged geometry
+ * @throws {Error} If the model has no meshes
+ */
+function mergeModel(scene) {
+  scene.updateMatrixWorld(true);
+
+  const geometries = [];
+  scene.traverse((object) => {
+    if (!object.isMesh) return;
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', object.geometry.getAttribute('position'));
+    geometry.setIndex(object.geometry.index);
+    // Indexed and non-indexed meshes can't be merged together
+    const positions = geometry.index ? geometry.toNonIndexed() : geometry.clone();
+    geometries.push(positions.applyMatrix4(object.matrixWorld));
+  });
+
+  if (geometries.length === 0) throw new Error('the model has no meshes');
+
+  const merged = mergeGeometries(geometries);
+  geometries.forEach(geometry => geometry.dispose());
+
+  merged.center();
+  const size = merged.boundingBox.getSize(new THREE.Vector3());
+  const longest = Math.max(size.x, size.y, size.z);
+  if (longest > 0) merged.scale(BASE_HEIGHT / longest, BASE_HEIGHT / longest, BASE_HEIGHT / longest);
+  merged.computeBoundingSphere();
+  return merged;
+}
@@ -0,0 +1,125 @@
+/**
+ * Fields a query is matched against, and how much a match in each counts
+ */
+const FIELD_WEIGHTS = {
+  name: 1,
+  id: 0.95,
+  content: 0.6,
+};
+
+/**
+ * How many characters a fuzzy match may span for each letter of the query
+ */
+const MAX_SPREAD = 3;
+
+/**
+ * NodeSearch
+ *
+ * Ranks nodes by how well their name, id or text content matches a query.
+ * Exact matches rank first, then prefixes, matches at the start of a word,
+ * matches inside a word, and finally the query's letters in order with gaps.
+ *
+ * @class NodeSearch
+ */
+export default class NodeSearch {
+  /**
+   * Creates a new NodeSearch instance
+   *
+   * @param {GraphModel} graph - The graph whose nodes are searched
+   */
+  constructor(graph) {
+    this.graph = graph;
+    this.contentText = new WeakMap();
+  }
+
+  /**
+   * Finds the nodes that match a query
+   *
+   * @param {string} query - Text to look for, case insensitive
+   * @param {Object} options - Search options
+   * @param {Array<string>} options.fields - Fields to match, any of name, id and content (default all three)
+   * @param {number} options.limit - Maximum number of results (default no limit)
+   * @returns {Array<string>} IDs of the matching nodes, best match first
+   */
+  find(query, { fields = Object.keys(FIELD_WEIGHTS), limit = Infinity } = {}) {
+    const needle = String(query ?? '').trim().toLowerCase();
+    if (needle.length === 0) return [];
+
+    const results = [];
+    this.graph.nodes.forEach((node, index) => {
+      let score = 0;
+      fields.forEach(field => {
+        const weight = FIELD_WEIGHTS[field];
+        if (!weight) return;
+        score = Math.max(score, weight * matchScore(this.getText(node, field), needle));
+      });
+      if (score > 0) results.push({ id: node.id, score, index });
+    });
+
+    // Equal scores keep the order the nodes were defined in
+    results.sort((a, b) => b.score - a.score || a.index - b.index);
+
+    const ids = [...new Set(results.map(result => result.id))];
+    return ids.slice(0, limit);
+  }
+
+  /**
+   * Reads the text of a node field, stripping markup from the content. Also
+   * used for the text of hover tooltips
+   *
+   * @param {Object} node - The node object
+   * @param {string} field - Field name: name, id or content
+   * @returns {string} The text, empty if the node doesn't have it
+   */
+  getText(node, field) {
+    if (field !== 'content') return node[field] ? String(node[field]) : '';
+    if (!node.content) return '';
+
+    // Parsing is slow on large graphs, so keep the text until the content changes
+    const cached = this.contentText.get(node);
+    if (cached && cached.html === node.content) return cached.text;
+
+    // Parse the content inertly so that scripts and images in it don't load
+    const text = new DOMParser().parseFromString(node.content, 'text/html').body.textContent.trim();
+    this.contentText.set(node, { html: node.content, text });
+    return text;
+  }
+}
+
+/**
+ * Scores how well a text matches a query
+ *
+ * @param {string} text - Text to search in
+ * @param {string} query - Lower case query
+ * @returns {number} Score from 0 for no match to 1 for an exact match
+ */
+function matchScore(text, query) {
+  if (!text) return 0;
+
+  const value = text.toLowerCase();
+  if (value === query) return 1;
+  if (value.startsWith(query)) return 0.9;
+
+  const index = value.indexOf(query);
+  if (index > 0) {
+    return /[^a-z0-9]/.test(value[index - 1]) ? 0.8 : 0.7;
+  }
+
+  // Fuzzy match: the query's letters in order, closer together scores higher
+  let first = -1;
+  let position = -1;
+  let letters = 0;
+  for (const char of query) {
+    if (/\s/.test(char)) continue;
+    position = value.indexOf(char, position + 1);
+    if (position < 0) return 0;
+    if (first < 0) first = position;
+    letters++;
+  }
+
+  // Letters scattered across a long text aren't a match
+  const span = position - first + 1;
+  if (span > letters * MAX_SPREAD) return 0;
+
+  return 0.5 * letters / span;
+}
@@ -0,0 +1,243 @@
+/**
+ * Most rings a concentric layout spreads distinct values over
+ */
+const MAX_RINGS = 10;
+
+/**
+ * RadialLayout
+ *
+ * Places a focus node at the center of the grid plane and the other nodes on
+ * rings around it: by their distance from the focus along edges, or by a
+ * value, with higher values on inner rings. Every group gets a wedge of the
+ * circle in proportion to its size, so that its members form one arc on each
+ * ring. Within a wedge, nodes follow the angle of their neighbors on inner
+ * rings to keep edges short.
+ *
+ * @class RadialLayout
+ */
+export default class RadialLayout {
+  /**
+   * Creates a new RadialLayout instance
+   *
+   * @param {GraphModel} graph - Graph whose nodes are positioned
+   * @param {string} focusId - ID of the node at the center
+   * @param {Object} options - Optional layout parameters
+   * @param {Map<string, number>} options.values - Values by node id that pick the rings instead of distance
+   * @param {number} options.nodeSpacing - Smallest distance between neighbors on a ring (default 80)
+   * @param {number} options.ringSpacing - Distance between rings (default 1.5 times the node spacing)
+   */
+  constructor(graph, focusId, options = {}) {
+    this.graph = graph;
+    this.focusId = focusId;
+    this.values = options.values ?? null;
+    this.nodeSpacing = options.nodeSpacing ?? 80;
+    this.ringSpacing = options.ringSpacing ?? this.nodeSpacing * 1.5;
+  }
+
+  /**
+   * Positions every node. Nodes with explicit coordinates keep them
+   *
+   * @returns {number} The number of rings around the focus
+   */
+  apply() {
+    const nodes = this.graph.nodes;
+    const focus = this.graph.getNode(this.focusId);
+    if (!focus) return 0;
+
+    const rings = this.values ? this.ringsByValue(nodes, focus) : this.ringsByDistance(nodes, focus);
+    const wedges = this.createWedges(rings);
+    // The focus has no angle, so the first ring keeps its order
+    const angles = new Map();
+    let radius = 0;
+
+    place(focus, 0, 0);
+    for (let ring = 1; ring < rings.length; ring++) {
+      const members = this.arrangeRing(rings[ring], wedges, angles);
+      radius = Math.max(radius + this.ringSpacing, this.crowdedRadius(members, wedges));
+
+      members.forEach((arc, key) => {
+        const wedge = wedges.get(key);
+        arc.forEach((node, index) => {
+          const angle = wedge.start + wedge.size * (index + 0.5) / arc.length;
+          angles.set(node.id, angle);
+          place(node, angle, radius);
+        });
+      });
+    }
+
+    return rings.length - 1;
+  }
+
+  /**
+   * Puts nodes on rings by the number of edges between them and the focus.
+   * Nodes that can't be reached share a ring outside the rest
+   *
+   * @param {Array} nodes - Array of node objects
+   * @param {Object} focus - The focus node
+   * @returns {Array<Array>} Nodes of each ring, the focus alone on the first
+   */
+  ringsByDistance(nodes, focus) {
+    const rings = [[focus]];
+    const seen = new Set([focus.id]);
+
+    while (rings[rings.length - 1].length > 0) {
+      const next = [];
+      rings[rings.length - 1].forEach(node => {
+        this.graph.neighbors(node.id).forEach(id => {
+          if (seen.has(id)) return;
+          seen.add(id);
+          next.push(this.graph.getNode(id));
+        });
+      });
+      rings.push(next);
+    }
+    rings.pop();
+
+    const unreachable = nodes.filter(node => !seen.has(node.id));
+    if (unreachable.length > 0) rings.push(unreachable);
+    return rings;
+  }
+
+  /**
+   * Puts nodes on rings by value, higher values further in. Each distinct
+   * value gets its own ring when there are few, otherwise values are split
+   * into ranges of equal width. Nodes without a value share the outer ring
+   *
+   * @param {Array} nodes - Array of node objects
+   * @param {Object} focus - The focus node
+   * @returns {Array<Array>} Nodes of each ring, the focus alone on the first
+   */
+  ringsByValue(nodes, focus) {
+    const others = nodes.filter(node => node !== focus);
+    const valued = others.filter(node => Number.isFinite(this.values.get(node.id)));
+    const distinct = [...new Set(valued.map(node => this.values.get(node.id)))].sort((a, b) => b - a);
+    const highest = distinct[0];
+    const lowest = distinct[distinct.length - 1];
+
+    /**
+     * Finds the ring of a value, counting from the first ring around the focus
+     */
+    const ringOf = (value) => {
+      if (distinct.length <= MAX_RINGS) return distinct.indexOf(value);
+      return Math.min(Math.floor((highest - value) / (highest - lowest) * MAX_RINGS), MAX_RINGS - 1);
+    };
+
+    const rings = [[focus]];
+    valued.forEach(node => {
+      const ring = ringOf(this.values.get(node.id)) + 1;
+      while (rings.length <= ring) rings.push([]);
+      rings[ring].push(node);
+    });
+
+    const unvalued = others.filter(node => !Number.isFinite(this.values.get(node.id)));
+    if (unvalued.length > 0) rings.push(unvalued);
+    // Ranges that no value falls in would leave gaps between rings
+    return rings.filter(ring => ring.length > 0);
+  }
+
+  /**
+   * Divides the circle into a wedge per group, in proportion to the number
+   * of members around the focus. Nodes outside groups share a wedge, and a
+   * node in several groups counts towards its first
+   *
+   * @param {Array<Array>} rings - Nodes of each ring
+   * @returns {Map<string|null, Object>} Wedge start and size in radians, by group id or null
+   */
+  createWedges(rings) {
+    const counts = new Map();
+    let total = 0;
+    rings.slice(1).forEach(ring => ring.forEach(node => {
+      const key = wedgeKey(node);
+      counts.set(key, (counts.get(key) ?? 0) + 1);
+      total++;
+    }));
+
+    const wedges = new Map();
+    let start = 0;
+    counts.forEach((count, key) => {
+      const size = count / total * Math.PI * 2;
+      wedges.set(key, { start, size });
+      start += size;
+    });
+    return wedges;
+  }
+
+  /**
+   * Sorts the nodes of a ring into their wedges, ordered by the angle of
+   * their neighbors on inner rings
+   *
+   * @param {Array} ring - Nodes of the ring
+   * @param {Map<string|null, Object>} wedges - Wedges by group id
+   * @param {Map<string, number>} angles - Angles of the nodes placed so far
+   * @returns {Map<string|null, Array>} Nodes of the ring in order, by group id
+   */
+  arrangeRing(ring, wedges, angles) {
+    const members = new Map();
+    const anchors = new Map();
+
+    ring.forEach(node => {
+      const key = wedgeKey(node);
+      if (!members.has(key)) members.set(key, []);
+      members.get(key).push(node);
+
+      // Average the directions to placed neighbors, so angles either side of zero don't cancel out
+      let x = 0;
+      let z = 0;
+      this.graph.neighbors(node.id).forEach(id => {
+        if (!angles.has(id)) return;
+        x += Math.cos(angles.get(id));
+        z += Math.sin(angles.get(id));
+      });
+      const start = wedges.get(key).start;
+      const angle = x === 0 && z === 0 ? Infinity : Math.atan2(z, x);
+      // Measured from the start of the wedge, so that the order doesn't wrap inside it
+      anchors.set(node, angle === Infinity ? angle : (angle - start + Math.PI * 4) % (Math.PI * 2));
+    });
+
+    // Nodes without placed neighbors keep their order, after the others
+    members.forEach(arc => arc.sort((a, b) => (anchors.get(a) - anchors.get(b)) || 0));
+    return members;
+  }
+
+  /**
+   * Works out how far out a ring has to be so that neighbors in every wedge
+   * are at least the node spacing apart
+   *
+   * @param {Map<string|null, Array>} members - Nodes of the ring by group id
+   * @param {Map<string|null, Object>} wedges - Wedges by group id
+   * @returns {number} Smallest radius for the ring
+   */
+  crowdedRadius(members, wedges) {
+    let radius = 0;
+    members.forEach((arc, key) => {
+      radius = Math.max(radius, this.nodeSpacing * arc.length / wedges.get(key).size);
+    });
+    return radius;
+  }
+}
+
+/**
+ * Names the wedge a node is placed in
+ *
+ * @param {Object} node - The node object
+ * @returns {string|null} ID of the node's first group, or null
+ */
+function wedgeKey(node) {
+  return node.groups[0] ?? null;
+}
+
+/**
+ * Moves a node to an angle and radius on the grid plane, unless it has
+ * explicit coordinates
+ *
+ * @param {Object} node - The node object
+ * @param {number} angle - Angle in radians
+ * @param {number} radius - Distance from the center
+ * @returns {void}
+ */
+function place(node, angle, radius) {
+  if (node.fixed) return;
+  node.x = Math.cos(angle) * radius;
+  node.y = 0;
+  node.z = Math.sin(angle) * radius;
+}
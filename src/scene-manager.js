@@ -29,6 +29,8 @@ export default class SceneManager {
     this.camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 1000);
     this.camera.position.set(100, 100, 100); // View x-z plane from above
     this.camera.lookAt(0, 0, 0);
+    // Camera distance that counts as zoom level 1 for labels-zoom-level
+    this.homeDistance = this.camera.position.length();
 
     this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
     this.renderer.setSize(width, height);
@@ -117,6 +119,40 @@ export default class SceneManager {
       return;
     }
     
+    // Look at the center from above and at an angle
+    this.homeDistance = this.fitCameraToBox(box, paddingFactor, new THREE.Vector3(1, 1, 1));
+  }
+
+  /**
+   * Centers a set of points and moves the camera so that they fill the view,
+   * keeping the direction it looks from
+   * 
+   * @param {Array<Object>} points - Points with x, y and z in graph coordinates
+   * @param {number} margin - Space kept around the points on every side (default 0)
+   * @param {number} paddingFactor - Multiplier for extra space around the points (default 1.5)
+   * @returns {void}
+   */
+  fitCameraToPoints(points, margin = 0, paddingFactor = 1.5) {
+    const box = new THREE.Box3().setFromPoints(points).expandByScalar(margin);
+    if (box.isEmpty()) return;
+    
+    const center = box.getCenter(new THREE.Vector3());
+    this.animateToNode(center);
+    
+    // The graph group moves the center of the points to the origin
+    box.translate(center.negate());
+    this.fitCameraToBox(box, paddingFactor, this.camera.position.clone().sub(this.controls.target));
+  }
+
+  /**
+   * Moves the camera so that a box fills the view
+   * 
+   * @param {THREE.Box3} box - The box to show, in world coordinates
+   * @param {number} paddingFactor - Multiplier for extra space around the box
+   * @param {THREE.Vector3} direction - Direction from the box's center to the camera
+   * @returns {number} The camera's distance from the box's center
+   */
+  fitCameraToBox(box, paddingFactor, direction) {
     const size = box.getSize(new THREE.Vector3());
     const center = box.getCenter(new THREE.Vector3());
     
@@ -139,14 +175,15 @@ export default class SceneManager {
     // Apply padding
     cameraDistance *= paddingFactor;
     
-    // Position camera to look at center from above and at an angle
-    const direction = new THREE.Vector3(1, 1, 1).normalize();
-    this.camera.position.copy(center).add(direction.multiplyScalar(cameraDistance));
+    // Position camera to look at center from the given direction
+    this.camera.position.copy(center).add(direction.clone().normalize().multiplyScalar(cameraDistance));
     this.camera.lookAt(center);
     
     // Update controls target to center
     this.controls.target.copy(center);
     this.controls.update();
+    
+    return cameraDistance;
   }
 
   /**
@@ -0,0 +1,166 @@
+/**
+ * Number of results listed under the search box
+ */
+const MAX_RESULTS = 10;
+
+/**
+ * SearchOverlay
+ *
+ * A search box in the corner of the visualization that lists the nodes
+ * matching what is typed. Results can be clicked or picked with the arrow
+ * keys and enter; escape clears the search.
+ *
+ * @class SearchOverlay
+ */
+export default class SearchOverlay {
+  /**
+   * Creates a new SearchOverlay instance
+   *
+   * @param {HTMLElement} container - Element the overlay is added to
+   * @param {Function} createElement - Function to create elements (from DataroomElement)
+   * @param {NodeSearch} search - Ranks the nodes that match a query
+   * @param {Function} onChoose - Callback with the id of the chosen node
+   */
+  constructor(container, createElement, search, onChoose) {
+    this.container = container;
+    this.createElement = createElement;
+    this.search = search;
+    this.onChoose = onChoose;
+    this.element = null;
+    this.input = null;
+    this.list = null;
+    this.results = [];
+    this.activeIndex = -1;
+  }
+
+  /**
+   * Adds the search box, if it isn't shown already
+   *
+   * @returns {void}
+   */
+  show() {
+    if (this.element) return;
+
+    this.element = this.createElement('div', { class: 'search-overlay' });
+    this.input = this.createElement('input', {
+      class: 'search-input',
+      type: 'search',
+      placeholder: 'Search nodes',
+      'aria-label': 'Search nodes'
+    }, this.element);
+    this.list = this.createElement('ul', { class: 'search-results', role: 'listbox' }, this.element);
+
+    this.input.addEventListener('input', () => this.update());
+    this.input.addEventListener('keydown', (event) => this.onKeyDown(event));
+  }
+
+  /**
+   * Removes the search box
+   *
+   * @returns {void}
+   */
+  hide() {
+    if (!this.element) return;
+
+    this.element.remove();
+    this.element = null;
+    this.input = null;
+    this.list = null;
+    this.results = [];
+    this.activeIndex = -1;
+  }
+
+  /**
+   * Searches for the text in the search box and lists the results
+   *
+   * @returns {void}
+   */
+  update() {
+    // Nodes hidden by a filter can't be selected, so they aren't listed
+    this.results = this.search.find(this.input.value)
+      .filter(id => !this.search.graph.getNode(id).hidden)
+      .slice(0, MAX_RESULTS);
+    this.activeIndex = this.results.length > 0 ? 0 : -1;
+    this.render();
+  }
+
+  /**
+   * Lists the current results, marking the active one
+   *
+   * @returns {void}
+   */
+  render() {
+    this.list.innerHTML = '';
+
+    this.results.forEach((id, index) => {
+      const node = this.search.graph.getNode(id);
+      if (!node) return;
+
+      const item = this.createElement('li', {
+        class: index === this.activeIndex ? 'search-result active' : 'search-result',
+        role: 'option'
+      }, this.list);
+      const name = this.createElement('span', { class: 'search-result-name' }, item);
+      name.textContent = node.name || node.id;
+
+      if (node.name && node.name !== node.id) {
+        const idText = this.createElement('span', { class: 'search-result-id' }, item);
+        idText.textContent = node.id;
+      }
+
+      // Choose on mousedown so the input doesn't lose focus first
+      item.addEventListener('mousedown', (event) => {
+        event.preventDefault();
+        this.choose(id);
+      });
+    });
+  }
+
+  /**
+   * Handles arrow keys, enter and escape in the search box
+   *
+   * @param {KeyboardEvent} event - The keydown event
+   * @returns {void}
+   */
+  onKeyDown(event) {
+    const count = this.results.length;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        if (count === 0) return;
+        this.activeIndex = (this.activeIndex + 1) % count;
+        this.render();
+        break;
+      case 'ArrowUp':
+        if (count === 0) return;
+        this.activeIndex = (this.activeIndex - 1 + count) % count;
+        this.render();
+        break;
+      case 'Enter':
+        if (this.activeIndex < 0) return;
+        this.choose(this.results[this.activeIndex]);
+        break;
+      case 'Escape':
+        this.input.value = '';
+        this.update();
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+  }
+
+  /**
+   * Closes the result list and passes the chosen node on
+   *
+   * @param {string} id - ID of the chosen node
+   * @returns {void}
+   */
+  choose(id) {
+    this.results = [];
+    this.activeIndex = -1;
+    this.render();
+    this.onChoose(id);
+  }
+}
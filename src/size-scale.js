@@ -0,0 +1,69 @@
+/**
+ * Size multiplier of the node with the highest value; the lowest value is drawn at normal size
+ */
+const MAX_SIZE = 3;
+
+/**
+ * Functions that spread values out before they are mapped onto sizes
+ */
+const TRANSFORMS = {
+  linear: value => value,
+  sqrt: Math.sqrt,
+  log: Math.log,
+};
+
+/**
+ * SizeScale
+ *
+ * Maps numbers, such as a metric or a numeric node attribute, onto node size
+ * multipliers from 1 for the lowest value to 3 for the highest. The sqrt and
+ * log scales keep a few large values from making every other node look the
+ * same size.
+ *
+ * @class SizeScale
+ */
+export default class SizeScale {
+  /**
+   * Creates a new SizeScale instance
+   *
+   * @param {string} type - linear, sqrt or log (default linear)
+   * @throws {Error} If the type is unknown
+   */
+  constructor(type = 'linear') {
+    if (!Object.hasOwn(TRANSFORMS, type)) {
+      throw new Error(`Unknown size scale "${type}", expected one of ${Object.keys(TRANSFORMS).join(', ')}`);
+    }
+    this.type = type;
+  }
+
+  /**
+   * Maps values onto size multipliers
+   *
+   * @param {Map<string, number>} values - Values by node id
+   * @returns {Map<string, number>} Size multipliers from 1 to 3 by node id
+   */
+  map(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(value => {
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    });
+
+    // sqrt needs values from 0 and log values from 1, so shift the rest up
+    let offset = 0;
+    if (this.type === 'sqrt' && min < 0) offset = -min;
+    if (this.type === 'log' && min <= 0) offset = 1 - min;
+
+    const transform = TRANSFORMS[this.type];
+    const low = transform(min + offset);
+    const high = transform(max + offset);
+
+    const sizes = new Map();
+    values.forEach((value, id) => {
+      const position = high > low ? (transform(value + offset) - low) / (high - low) : 0;
+      sizes.set(id, 1 + position * (MAX_SIZE - 1));
+    });
+    return sizes;
+  }
+}
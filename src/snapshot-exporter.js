@@ -0,0 +1,481 @@
+import * as THREE from 'three';
+import { escapeXML } from './graph-exporter.js';
+
+/**
+ * SnapshotExporter
+ *
+ * Captures the rendered view as a PNG or SVG image. PNG snapshots composite
+ * the WebGL frame with the CSS2D node labels, which live in a separate DOM
+ * layer and are missing from plain canvas screenshots. SVG snapshots project
+ * node glyphs, edge arcs and group outlines through the current camera.
+ *
+ * @class SnapshotExporter
+ */
+export default class SnapshotExporter {
+  /**
+   * Creates a new SnapshotExporter instance
+   *
+   * @param {HTMLElement} container - The visualization element, used for size and background color
+   * @param {Object} sceneManager - The SceneManager instance to render with
+   * @param {Object} graphBuilder - The GraphBuilder whose renderers hold node and edge colors
+   */
+  constructor(container, sceneManager, graphBuilder) {
+    this.container = container;
+    this.sceneManager = sceneManager;
+    this.nodeRenderer = graphBuilder.nodeRenderer;
+    this.edgeRenderer = graphBuilder.edgeRenderer;
+  }
+
+  /**
+   * Renders the current view to an image
+   *
+   * @param {Object} graph - Object containing nodes, links, and wireframes arrays
+   * @param {Object} options - Snapshot options
+   * @param {string} options.format - png or svg (default png)
+   * @param {number} options.width - Width in CSS pixels (default: element width)
+   * @param {number} options.height - Height in CSS pixels (default: element height)
+   * @param {number} options.scale - Pixel density multiplier for PNG output (default 1)
+   * @returns {Promise<Blob>} The image
+   */
+  async toImage(graph, { format = 'png', width, height, scale = 1 } = {}) {
+    const size = this.getSize(width, height);
+
+    if (format === 'svg') {
+      return new Blob([this.toSVG(graph, size)], { type: 'image/svg+xml' });
+    }
+
+    if (format !== 'png') {
+      throw new Error(`Unsupported image format "${format}"`);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(size.width * scale);
+    canvas.height = Math.round(size.height * scale);
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = this.getBackgroundColor();
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    this.withCamera(size, () => {
+      const { renderer, scene, camera } = this.sceneManager;
+      const originalSize = renderer.getSize(new THREE.Vector2());
+      const originalPixelRatio = renderer.getPixelRatio();
+      const originalClearAlpha = renderer.getClearAlpha();
+
+      // Render a transparent frame so the element's CSS background shows through
+      renderer.setPixelRatio(1);
+      renderer.setSize(canvas.width, canvas.height, false);
+      renderer.setClearAlpha(0);
+      renderer.render(scene, camera);
+
+      // The drawing buffer is only valid until control returns to the browser
+      ctx.drawImage(renderer.domElement, 0, 0, canvas.width, canvas.height);
+
+      renderer.setClearAlpha(originalClearAlpha);
+      renderer.setPixelRatio(originalPixelRatio);
+      renderer.setSize(originalSize.x, originalSize.y, false);
+
+      ctx.setTransform(scale, 0, 0, scale, 0, 0);
+      this.drawLabels(ctx, graph.nodes, size);
+    });
+
+    this.sceneManager.renderer.render(this.sceneManager.scene, this.sceneManager.camera);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('Could not encode PNG snapshot'));
+        }
+      }, 'image/png');
+    });
+  }
+
+  /**
+   * Projects the current view into an SVG document
+   *
+   * @param {Object} graph - Object containing nodes, links, and wireframes arrays
+   * @param {Object} options - Snapshot options
+   * @param {number} options.width - Width in CSS pixels (default: element width)
+   * @param {number} options.height - Height in CSS pixels (default: element height)
+   * @returns {string} SVG markup
+   */
+  toSVG(graph, { width, height } = {}) {
+    const size = this.getSize(width, height);
+    const parts = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${size.width}" height="${size.height}" viewBox="0 0 ${size.width} ${size.height}">`,
+      `  <rect width="100%" height="100%" fill="${escapeXML(this.getBackgroundColor())}"/>`,
+    ];
+
+    this.withCamera(size, () => {
+      this.sceneManager.scene.updateMatrixWorld();
+
+      graph.wireframes.forEach(({ mesh }) => {
+        if (!isVisible(mesh)) return;
+        const path = this.projectSegments(mesh, size);
+        if (path) parts.push(`  <path d="${path}" ${strokeAttributes(materialStyle(mesh.material))}/>`);
+      });
+
+      graph.links.forEach(link => {
+        if (!link.line || !isVisible(link.line)) return;
+        const style = {
+          color: this.edgeRenderer.getColor(link),
+          opacity: this.edgeRenderer.getOpacity(link),
+          width: link.width,
+          dashed: link.dashed
+        };
+
+        const path = this.projectPolyline(link.points, link.line.matrixWorld, size);
+        if (path) parts.push(`  <path d="${path}" ${strokeAttributes(style)}/>`);
+
+        const arrow = link.arrow ? this.projectArrow(link.arrow, link.line.matrixWorld, size) : '';
+        if (arrow) parts.push(`  <polygon points="${arrow}" ${fillAttributes(style)}/>`);
+      });
+
+      const glyphs = graph.nodes
+        .filter(node => node.mesh && !node.hidden && isVisible(node.mesh))
+        .map(node => ({ node, point: this.projectNode(node, size) }))
+        .filter(({ point }) => point !== null)
+        // Draw far nodes first so near nodes cover them
+        .sort((a, b) => b.point.depth - a.point.depth);
+
+      glyphs.forEach(({ node, point }) => parts.push(`  ${this.createGlyph(node, point)}`));
+
+      glyphs.forEach(({ node, point }) => {
+        if (!node.label || !isLabelVisible(node.label) || !node.label.element.textContent) return;
+        const style = window.getComputedStyle(node.label.element);
+        const labelPoint = this.projectObject(node.label, size);
+        const labelY = labelPoint ? labelPoint.y : point.y;
+        parts.push(`  <text x="${round(point.x)}" y="${round(labelY)}" text-anchor="middle" dominant-baseline="middle" ` +
+          `font-family="${escapeXML(style.fontFamily)}" font-size="${escapeXML(style.fontSize)}" ` +
+          `fill="${escapeXML(style.color)}" stroke="${escapeXML(style.backgroundColor)}" stroke-width="3" ` +
+          `paint-order="stroke">${escapeXML(node.label.element.textContent)}</text>`);
+      });
+    });
+
+    parts.push('</svg>');
+    return parts.join('\n') + '\n';
+  }
+
+  /**
+   * Draws the visible node labels onto a 2D canvas
+   *
+   * @param {CanvasRenderingContext2D} ctx - Canvas context scaled to CSS pixels
+   * @param {Array} nodes - Array of node objects
+   * @param {Object} size - Object with width and height in CSS pixels
+   * @returns {void}
+   */
+  drawLabels(ctx, nodes, size) {
+    nodes.forEach(node => {
+      if (!node.label || !isLabelVisible(node.label) || !node.label.element.textContent) return;
+
+      const point = this.projectObject(node.label, size);
+      if (!point) return;
+
+      const el = node.label.element;
+      const style = window.getComputedStyle(el);
+      const paddingX = parseFloat(style.paddingLeft) || 0;
+      const paddingY = parseFloat(style.paddingTop) || 0;
+      const fontSize = parseFloat(style.fontSize) || 12;
+
+      ctx.save();
+      ctx.globalAlpha = parseFloat(style.opacity) || 1;
+      ctx.font = `${style.fontStyle} ${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+
+      // CSS2DRenderer centers each label on its projected position
+      const textWidth = ctx.measureText(el.textContent).width;
+      const boxWidth = textWidth + paddingX * 2;
+      const boxHeight = fontSize * 1.2 + paddingY * 2;
+
+      ctx.fillStyle = style.backgroundColor;
+      ctx.fillRect(point.x - boxWidth / 2, point.y - boxHeight / 2, boxWidth, boxHeight);
+      ctx.fillStyle = style.color;
+      ctx.fillText(el.textContent, point.x, point.y);
+      ctx.restore();
+    });
+  }
+
+  /**
+   * Creates the SVG glyph for a node, sized by its projected bounding sphere
+   *
+   * @param {Object} node - The node object
+   * @param {Object} point - Projected screen position with x, y and radius
+   * @returns {string} SVG element markup
+   */
+  createGlyph(node, point) {
+    const color = `#${this.nodeRenderer.getColor(node).getHexString()}`;
+    const paint = node.wireframe
+      ? `fill="none" stroke="${color}" stroke-width="1"`
+      : `fill="${color}"`;
+    const x = round(point.x);
+    const y = round(point.y);
+    const r = round(Math.max(point.radius, 1));
+
+    if (node.image) {
+      return `<image href="${escapeXML(node.image)}" x="${round(point.x - r * 0.7)}" y="${round(point.y - r * 0.7)}" ` +
+        `width="${round(r * 1.4)}" height="${round(r * 1.4)}" preserveAspectRatio="xMidYMid meet"/>`;
+    }
+
+    switch (node.shape) {
+      case 'cube':
+      case 'box':
+      case 'square':
+        return `<rect x="${round(point.x - r * 0.7)}" y="${round(point.y - r * 0.7)}" width="${round(r * 1.4)}" height="${round(r * 1.4)}" ${paint}/>`;
+      case 'sphere':
+        return `<circle cx="${x}" cy="${y}" r="${r}" ${paint}/>`;
+      case 'torus':
+        return `<path d="M ${round(point.x - r)} ${y} a ${r} ${r} 0 1 0 ${round(r * 2)} 0 a ${r} ${r} 0 1 0 ${round(-r * 2)} 0 ` +
+          `M ${round(point.x - r / 2)} ${y} a ${round(r / 2)} ${round(r / 2)} 0 1 0 ${r} 0 a ${round(r / 2)} ${round(r / 2)} 0 1 0 ${-r} 0" ` +
+          `fill-rule="evenodd" ${paint}/>`;
+      default:
+        return `<polygon points="${x},${round(point.y - r)} ${round(point.x + r * 0.87)},${round(point.y + r / 2)} ${round(point.x - r * 0.87)},${round(point.y + r / 2)}" ${paint}/>`;
+    }
+  }
+
+  /**
+   * Projects a node's position and the bounding radius of its shape to screen space
+   *
+   * @param {Object} node - The node object, drawn as an instance of node.mesh
+   * @param {Object} size - Object with width and height in CSS pixels
+   * @returns {Object|null} Screen x, y, depth and radius, or null if behind the camera
+   */
+  projectNode(node, size) {
+    const camera = this.sceneManager.camera;
+    const world = node.mesh.localToWorld(new THREE.Vector3(node.x, node.y, node.z));
+    const point = this.projectPoint(world, size);
+    if (!point) return null;
+
+    const worldScale = node.mesh.getWorldScale(new THREE.Vector3());
+    const worldRadius = this.nodeRenderer.getRadius(node) * Math.max(worldScale.x, worldScale.y, worldScale.z);
+    const distance = world.distanceTo(camera.position);
+    const fov = camera.fov * Math.PI / 180;
+    const radius = worldRadius / (distance * Math.tan(fov / 2)) * (size.height / 2);
+
+    return { ...point, radius };
+  }
+
+  /**
+   * Projects an object's world position, such as a label's, to screen space
+   *
+   * @param {THREE.Object3D} object - The object to project
+   * @param {Object} size - Object with width and height in CSS pixels
+   * @returns {Object|null} Screen x, y and depth, or null if behind the camera
+   */
+  projectObject(object, size) {
+    return this.projectPoint(object.getWorldPosition(new THREE.Vector3()), size);
+  }
+
+  /**
+   * Projects a world position to screen space
+   *
+   * @param {THREE.Vector3} world - Position in world space
+   * @param {Object} size - Object with width and height in CSS pixels
+   * @returns {Object|null} Screen x, y and depth, or null if outside the view depth
+   */
+  projectPoint(world, size) {
+    const ndc = world.clone().project(this.sceneManager.camera);
+    if (ndc.z < -1 || ndc.z > 1) return null;
+
+    return {
+      x: (ndc.x + 1) / 2 * size.width,
+      y: (1 - ndc.y) / 2 * size.height,
+      depth: ndc.z
+    };
+  }
+
+  /**
+   * Projects a line strip into an SVG path
+   *
+   * @param {Array<THREE.Vector3>} points - Points of the line in local space
+   * @param {THREE.Matrix4} matrixWorld - World matrix of the line
+   * @param {Object} size - Object with width and height in CSS pixels
+   * @returns {string} SVG path data, empty if nothing is in view
+   */
+  projectPolyline(points, matrixWorld, size) {
+    const commands = [];
+    let drawing = false;
+
+    for (let i = 0; i < points.length; i++) {
+      const world = points[i].clone().applyMatrix4(matrixWorld);
+      const point = this.projectPoint(world, size);
+
+      if (!point) {
+        drawing = false;
+        continue;
+      }
+
+      commands.push(`${drawing ? 'L' : 'M'} ${round(point.x)} ${round(point.y)}`);
+      drawing = true;
+    }
+
+    return commands.join(' ');
+  }
+
+  /**
+   * Projects an arrowhead cone into a triangle
+   *
+   * @param {Object} arrow - The arrowhead's tip, direction, length and radius in line space
+   * @param {THREE.Matrix4} matrixWorld - World matrix of the edge's line
+   * @param {Object} size - Object with width and height in CSS pixels
+   * @returns {string} SVG polygon points, empty if the arrow is out of view
+   */
+  projectArrow(arrow, matrixWorld, size) {
+    const baseCenter = arrow.tip.clone().addScaledVector(arrow.direction, -arrow.length);
+    const tip = this.projectPoint(arrow.tip.clone().applyMatrix4(matrixWorld), size);
+    const base = this.projectPoint(baseCenter.applyMatrix4(matrixWorld), size);
+    if (!tip || !base) return '';
+
+    // Keep the cone's proportions when it is seen from the side
+    const dx = tip.x - base.x;
+    const dy = tip.y - base.y;
+    const ratio = arrow.radius / arrow.length;
+    const offsetX = -dy * ratio;
+    const offsetY = dx * ratio;
+
+    return `${round(tip.x)},${round(tip.y)} ${round(base.x + offsetX)},${round(base.y + offsetY)} ` +
+      `${round(base.x - offsetX)},${round(base.y - offsetY)}`;
+  }
+
+  /**
+   * Projects line segment pairs into an SVG path
+   *
+   * @param {THREE.LineSegments} segments - The line segments to project
+   * @param {Object} size - Object with width and height in CSS pixels
+   * @returns {string} SVG path data, empty if nothing is in view
+   */
+  projectSegments(segments, size) {
+    const position = segments.geometry.attributes.position;
+    const commands = [];
+
+    for (let i = 0; i + 1 < position.count; i += 2) {
+      const start = this.projectPoint(
+        new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(segments.matrixWorld), size);
+      const end = this.projectPoint(
+        new THREE.Vector3().fromBufferAttribute(position, i + 1).applyMatrix4(segments.matrixWorld), size);
+
+      if (start && end) {
+        commands.push(`M ${round(start.x)} ${round(start.y)} L ${round(end.x)} ${round(end.y)}`);
+      }
+    }
+
+    return commands.join(' ');
+  }
+
+  /**
+   * Runs a callback with the camera aspect set for the snapshot size
+   *
+   * @param {Object} size - Object with width and height in CSS pixels
+   * @param {Function} callback - Work to do while the camera is adjusted
+   * @returns {void}
+   */
+  withCamera(size, callback) {
+    const camera = this.sceneManager.camera;
+    const originalAspect = camera.aspect;
+
+    camera.aspect = size.width / size.height;
+    camera.updateProjectionMatrix();
+
+    try {
+      callback();
+    } finally {
+      camera.aspect = originalAspect;
+      camera.updateProjectionMatrix();
+    }
+  }
+
+  /**
+   * Resolves the snapshot size, defaulting to the element's size
+   *
+   * @param {number} width - Requested width in CSS pixels
+   * @param {number} height - Requested height in CSS pixels
+   * @returns {Object} Object with width and height
+   */
+  getSize(width, height) {
+    return {
+      width: Math.round(width || this.container.clientWidth),
+      height: Math.round(height || this.container.clientHeight)
+    };
+  }
+
+  /**
+   * Reads the element's current background color
+   *
+   * @returns {string} CSS color
+   */
+  getBackgroundColor() {
+    return window.getComputedStyle(this.container).backgroundColor;
+  }
+}
+
+/**
+ * Checks whether an object and all of its ancestors are visible
+ *
+ * @param {THREE.Object3D} object - The object to check
+ * @returns {boolean} True if the object would be rendered
+ */
+function isVisible(object) {
+  for (let current = object; current; current = current.parent) {
+    if (!current.visible) return false;
+  }
+  return true;
+}
+
+/**
+ * Checks whether a CSS2D label is currently shown
+ *
+ * @param {THREE.Object3D} label - The CSS2D label object
+ * @returns {boolean} True if the label is displayed
+ */
+function isLabelVisible(label) {
+  return isVisible(label) && label.element.style.display !== 'none' &&
+    !label.element.classList.contains('label-hidden');
+}
+
+/**
+ * Reads the drawing style of a line material
+ *
+ * @param {THREE.Material} material - The line material
+ * @returns {Object} Style with color, opacity, width and dashed
+ */
+function materialStyle(material) {
+  return {
+    color: material.color,
+    opacity: material.transparent ? material.opacity : 1,
+    width: material.linewidth || 1,
+    dashed: Boolean(material.dashed)
+  };
+}
+
+/**
+ * Formats the stroke attributes of a line style
+ *
+ * @param {Object} style - Style with color, opacity, width and dashed
+ * @returns {string} SVG attributes
+ */
+function strokeAttributes({ color, opacity, width, dashed }) {
+  const dash = dashed ? ` stroke-dasharray="${width * 3} ${width * 2}"` : '';
+  return `fill="none" stroke="#${color.getHexString()}" stroke-opacity="${opacity}" stroke-width="${width}"${dash}`;
+}
+
+/**
+ * Formats the fill attributes of a style
+ *
+ * @param {Object} style - Style with color and opacity
+ * @returns {string} SVG attributes
+ */
+function fillAttributes({ color, opacity }) {
+  return `fill="#${color.getHexString()}" fill-opacity="${opacity}"`;
+}
+
+/**
+ * Rounds a screen coordinate to two decimals
+ *
+ * @param {number} value - The coordinate
+ * @returns {number} The rounded coordinate
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}